@@ -22,7 +22,7 @@ dfspConf[Object.keys(dfspConf)[1]].accountId = accounts.dfsp2;
 const template = xml2js(fs.readFileSync(path.resolve(__dirname, '../src/settlement/template_file.xml')).toString(), { compact: true });
 
 const result = js2xml(
-    model.format(model.minPaymentsAlgorithm(input), dfspConf, template, 558),
+    model.format(Object.values(model.minPaymentsAlgorithm(input)), dfspConf, template, 558),
     { compact: true, spaces: 2 },
 );
 // eslint-disable-next-line no-console
@@ -3,6 +3,7 @@ const uuidv4 = require('uuid/v4');
 const {
     get, put, post, del, buildUrl,
 } = require('../requests/requests');
+const { normaliseAmount } = require('../settlement/currencies');
 
 const FOREX_PROVIDERS = {
     CITI: 'citi',
@@ -141,7 +142,8 @@ async function getParticipantByAccountId(endpoint, accountId) {
 }
 
 /**
- * Prepare DFSP funds out for reconciliation
+ * Prepare DFSP funds out for reconciliation. Throws if the currency isn't in the currency registry
+ * or the amount has more decimal places than it allows.
  *
  * @returns {object}
  */
@@ -156,7 +158,7 @@ async function participantFundsOutPrepareReserve(
         action: 'recordFundsOutPrepareReserve',
         reason,
         amount: {
-            amount,
+            amount: normaliseAmount(currency, amount),
             currency,
         },
     }, { endpoint });
@@ -178,7 +180,8 @@ async function fundsOutPrepareReserve(endpoint, accountId, amount, currency, rea
 }
 
 /**
- * Prepare, reserve, commit DFSP funds in for reconciliation
+ * Prepare, reserve, commit DFSP funds in for reconciliation. Throws if the currency isn't in the
+ * currency registry or the amount has more decimal places than it allows.
  *
  * @returns {object}
  */
@@ -192,7 +195,7 @@ async function participantFundsInReserve(
         action: 'recordFundsIn',
         reason,
         amount: {
-            amount,
+            amount: normaliseAmount(currency, amount),
             currency,
         },
     }, { endpoint });
@@ -0,0 +1,142 @@
+const util = require('util');
+const { electronicIban } = require('./bankIdentifiers');
+const { normaliseAccountId } = require('./bankProfiles');
+
+/**
+ * Payment matrices are keyed by participant settlement account rather than by participant, as a
+ * participant may hold several settlement accounts, e.g. one per currency or settlement model. The
+ * key combines the participant ID and the ledger account ID, e.g. '12:345'.
+ *
+ * @returns {string}
+ */
+function accountKey(participantId, accountId) {
+    return `${participantId}:${accountId}`;
+}
+
+/**
+ * Inverse of accountKey.
+ *
+ * @returns {object}
+ */
+function parseAccountKey(key) {
+    const [participantId, accountId] = String(key).split(':');
+    return { participantId, accountId };
+}
+
+/**
+ * Resolves the bank account details of a ledger account key from the DFSP config, combining the
+ * participant's details with those of the ledger account where the config has an accounts map.
+ * A bank account is identified by an iban or an accountId; one given for the ledger account
+ * replaces both of the participant's. Throws if the participant or a bank account for the ledger
+ * account is missing.
+ *
+ * @returns {object}
+ */
+function bankAccount(dfspConf, key) {
+    const { participantId, accountId } = parseAccountKey(key);
+    if (!(participantId in dfspConf)) {
+        throw new Error(util.format('Couldn\'t find DFSP with id', participantId, 'in DFSP config'));
+    }
+    const { accounts = {}, ...participant } = dfspConf[participantId];
+    const ledger = accounts[accountId] || {};
+    const account = {
+        ...participant,
+        ...ledger,
+        ...(ledger.accountId === undefined && ledger.iban === undefined ? {}
+            : { accountId: ledger.accountId, iban: ledger.iban }),
+    };
+    if (account.accountId === undefined && account.iban === undefined) {
+        throw new Error(util.format('Couldn\'t find bank account for ledger account', accountId,
+            'of DFSP with id', participantId, 'in DFSP config'));
+    }
+    return account;
+}
+
+/**
+ * Returns the ID of a bank account as it appears in payment files: its IBAN in electronic format
+ * where it has one, otherwise its account ID normalised with the supplied bank profile.
+ *
+ * @returns {string}
+ */
+function bankAccountId(profile, account) {
+    return account.iban === undefined
+        ? normaliseAccountId(profile, account.accountId) : electronicIban(account.iban);
+}
+
+/**
+ * Lists every bank account of the DFSP config with the key it is configured for: the ledger
+ * account key for a bank account of the accounts map, the participant ID for a participant-level
+ * one.
+ *
+ * @returns {array}
+ */
+function configuredBankAccounts(dfspConf) {
+    const hasId = (a) => a.accountId !== undefined || a.iban !== undefined;
+    return Object.entries(dfspConf).reduce((pv, [participantId, conf]) => [
+        ...pv,
+        ...Object.entries(conf.accounts || {})
+            .filter(([, a]) => hasId(a))
+            .map(([ledgerAccountId, a]) => ({
+                key: accountKey(participantId, ledgerAccountId),
+                participantId,
+                name: a.name || conf.name,
+                accountId: a.accountId,
+                iban: a.iban,
+            })),
+        ...(hasId(conf) ? [{
+            key: participantId,
+            participantId,
+            name: conf.name,
+            accountId: conf.accountId,
+            iban: conf.iban,
+        }] : []),
+    ], []);
+}
+
+/**
+ * Returns the per-currency payments accepted by format and the exporters as an array: the output
+ * of minPaymentsAlgorithm, a single { currency, matrix } or an array of them.
+ *
+ * @returns {array}
+ */
+function currencyPayments(payments) {
+    if (Array.isArray(payments)) {
+        return payments;
+    }
+    return payments.matrix === undefined ? Object.values(payments) : [payments];
+}
+
+/**
+ * Returns the per-currency payments as currencyPayments does, less any payment between ledger
+ * accounts held at the same bank account, e.g. two ledger accounts of a participant configured
+ * with a single accountId. Such a payment moves no money at the bank. A payer left with no
+ * payments is removed.
+ *
+ * @returns {array}
+ */
+function bankPayments(profile, dfspConf, payments) {
+    const id = (key) => bankAccountId(profile, bankAccount(dfspConf, key));
+    return currencyPayments(payments).map(({ matrix, ...rest }) => ({
+        ...rest,
+        matrix: Object.entries(matrix).reduce((pv, [payer, payees]) => {
+            const external = Object.keys(payees).filter((payee) => id(payee) !== id(payer));
+            if (external.length === 0 && Object.keys(payees).length > 0) {
+                return pv;
+            }
+            return {
+                ...pv,
+                [payer]: external.reduce((o, payee) => ({ ...o, [payee]: payees[payee] }), {}),
+            };
+        }, {}),
+    }));
+}
+
+module.exports = {
+    accountKey,
+    bankAccount,
+    bankAccountId,
+    bankPayments,
+    configuredBankAccounts,
+    currencyPayments,
+    parseAccountKey,
+};
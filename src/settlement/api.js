@@ -4,10 +4,146 @@
 'use strict';
 
 const qs = require('querystring');
-const { get, put, post, HTTPResponseError } = require('../requests/requests');
+const { get, put, post } = require('../requests/requests');
+const { NotFoundError, toSettlementError } = require('./errors');
 
 // TODO: should probably split this api abstraction into settlementApi and settlement
 
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+// The values central-ledger accepts for the fields of a settlement model that take one of a set
+const SETTLEMENT_MODEL_VALUES = {
+    settlementGranularity: [ 'GROSS', 'NET' ],
+    settlementInterchange: [ 'BILATERAL', 'MULTILATERAL' ],
+    settlementDelay: [ 'IMMEDIATE', 'DEFERRED' ],
+};
+
+/**
+ * Makes a request of the supplied settlement API resource, throwing the error classes of errors.js
+ * for error responses. A stateChange request moves a settlement or window to another state.
+ *
+ * @returns {object}
+ */
+async function request(resource, send, stateChange = false) {
+    try {
+        return await send();
+    } catch (e) {
+        throw toSettlementError(e, { resource, stateChange });
+    }
+}
+
+// The states a participant account moves through in turn as a settlement is settled, see
+// https://github.com/mojaloop/central-settlement/blob/master/APIDefinition.md#put-settlementsid
+const ACCOUNT_STATES = [
+    'PENDING_SETTLEMENT',
+    'PS_TRANSFERS_RECORDED',
+    'PS_TRANSFERS_RESERVED',
+    'PS_TRANSFERS_COMMITTED',
+    'SETTLED',
+];
+
+/**
+ * Returns the state a participant account moves to from the supplied state, or undefined from the
+ * last state.
+ *
+ * @returns {string}
+ */
+function nextAccountState(state) {
+    const i = ACCOUNT_STATES.indexOf(state);
+    return i === -1 ? undefined : ACCOUNT_STATES[i + 1];
+}
+
+const positiveInteger = n => Number.isInteger(n) && n > 0;
+
+// Whether two participant or account IDs are the same, whether given as numbers or strings
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Splits a query with both fromDateTime and toDateTime into queries for consecutive ranges of at
+ * most the supplied number of milliseconds. Other queries are returned as they are.
+ *
+ * @returns {array}
+ */
+function dateRanges(name, query, interval) {
+    if (query.fromDateTime === undefined || query.toDateTime === undefined) {
+        return [ query ];
+    }
+    const from = new Date(query.fromDateTime).getTime();
+    const to = new Date(query.toDateTime).getTime();
+    if (isNaN(from) || isNaN(to) || from > to) {
+        throw new Error(`${name}: fromDateTime and toDateTime must be dates, fromDateTime first`);
+    }
+    const ranges = [];
+    for (let start = from; start < to || ranges.length === 0; start += interval) {
+        ranges.push({
+            ...query,
+            fromDateTime: new Date(start).toISOString(),
+            toDateTime: new Date(Math.min(start + interval, to)).toISOString(),
+        });
+    }
+    return ranges;
+}
+
+/**
+ * Yields every result of fetchPage across the date ranges of the query and, with a pageSize, the
+ * pages of each range, requesting at most `concurrency` ranges or pages at a time.
+ * Results are yielded in order, each once: adjacent date ranges share their boundary, so a result
+ * created at that instant is returned by both.
+ */
+async function* paginate(name, fetchPage, idOf, query, { pageSize, interval = ONE_DAY, concurrency = 1 } = {}) {
+    if (pageSize !== undefined && !positiveInteger(pageSize)) {
+        throw new Error(`${name}: pageSize must be a positive whole number, not ${pageSize}`);
+    }
+    if (!positiveInteger(concurrency)) {
+        throw new Error(`${name}: concurrency must be a positive whole number, not ${concurrency}`);
+    }
+    if (!(interval > 0)) {
+        throw new Error(`${name}: interval must be a positive number of milliseconds, not ${interval}`);
+    }
+    const seen = new Set();
+    const unseen = items => items.filter(item => {
+        const id = idOf(item);
+        if (seen.has(id)) {
+            return false;
+        }
+        seen.add(id);
+        return true;
+    });
+    const ranges = dateRanges(name, query, interval);
+    if (pageSize === undefined) {
+        for (let i = 0; i < ranges.length; i += concurrency) {
+            const results = await Promise.all(ranges.slice(i, i + concurrency).map(fetchPage));
+            for (const items of results) {
+                yield* unseen(items);
+            }
+        }
+        return;
+    }
+    for (const range of ranges) {
+        for (let offset = 0, last = false; !last; offset += pageSize * concurrency) {
+            const results = await Promise.all(Array.from({ length: concurrency }, (_, i) => fetchPage({
+                ...range, offset: offset + i * pageSize, limit: pageSize,
+            })));
+            // the first short page is the last of the range; any after it are empty. A page of
+            // results already yielded also ends the range, as a switch that ignores offset and
+            // limit returns the same page every time.
+            for (const items of results) {
+                const fresh = unseen(items);
+                yield* fresh;
+                if (items.length < pageSize || fresh.length === 0) {
+                    last = true;
+                    break;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * options.endpoint is the central-settlement API. Settlement models are managed through the
+ * central-ledger admin API; options.ledgerEndpoint is its address where it isn't served from
+ * options.endpoint.
+ */
 class SettlementsModel {
     constructor(options) {
         this.options = options;
@@ -25,6 +161,13 @@ class SettlementsModel {
      * time of writing):
      * https://github.com/mojaloop/central-settlement/blob/master/APIDefinition.md#get-settlements
      *
+     * Returns an empty list where the switch finds no settlements; other error responses are thrown
+     * as the error classes of errors.js.
+     *
+     * query.settlementModel, the name of a settlement model, is passed to the switch and also
+     * applied to the settlements returned, for switches that ignore it. Settlements that don't
+     * name their settlement model can't be shown to match, so are left out.
+     *
      * @returns {object}
      */
     async getSettlements(query) {
@@ -32,18 +175,39 @@ class SettlementsModel {
             return [];
         }
         const q = qs.stringify(query);
+        let settlements;
         try {
-            return await get(`settlements?${q}`, this.options);
+            settlements = await request('settlements', () => get(`settlements?${q}`, this.options));
         } catch (e) {
-            if (e instanceof HTTPResponseError &&
-                e.getData().resp.statusCode === 404 &&
-                e.getData().resp.message &&
-                e.getData().resp.message.errorInformation &&
-                e.getData().resp.message.errorInformation.errorDescription === 'Settlements not found') {
+            if (e instanceof NotFoundError) {
                 return [];
             }
             throw e;
         }
+        if (query.settlementModel === undefined) {
+            return settlements;
+        }
+        return settlements.filter(s => s.settlementModel === query.settlementModel);
+    }
+
+
+
+    /**
+     * Yields every settlement matching the query provided, for use with `for await`. Accepts the
+     * query of getSettlements and the options:
+     *
+     * {
+     *     interval,      with fromDateTime and toDateTime in the query, the length in milliseconds
+     *                    of the date ranges requested in turn; default one day
+     *     pageSize,      the number of settlements per request, passed to the API as limit and
+     *                    offset; by default each date range is requested in one go
+     *     concurrency,   the number of requests made at a time; default 1
+     * }
+     *
+     * A settlement returned by more than one request is yielded once.
+     */
+    async *iterateSettlements(query, opts) {
+        yield* paginate('iterateSettlements', q => this.getSettlements(q), s => s.id, query, opts);
     }
 
 
@@ -53,7 +217,7 @@ class SettlementsModel {
      * @returns {object}
      */
     async getSettlement(id) {
-        return await get(`settlements/${id}`, this.options);
+        return await request('settlements', () => get(`settlements/${id}`, this.options));
     }
 
 
@@ -63,7 +227,7 @@ class SettlementsModel {
      * @returns {object}
      */
     async getSettlementWindow(id) {
-        return await get(`settlementWindows/${id}`, this.options);
+        return await request('settlementWindows', () => get(`settlementWindows/${id}`, this.options));
     }
 
     /**
@@ -74,6 +238,9 @@ class SettlementsModel {
      * time of writing):
      * https://github.com/mojaloop/central-settlement/blob/master/APIDefinition.md#get-settlementwindows
      *
+     * Returns an empty list where the switch finds no settlement windows; other error responses are
+     * thrown as the error classes of errors.js.
+     *
      * @returns {object}
      */
     async getSettlementWindows(query) {
@@ -82,38 +249,52 @@ class SettlementsModel {
         }
         const q = qs.stringify(query);
         try {
-            return await get(`settlementWindows?${q}`, this.options);
+            return await request('settlementWindows', () => get(`settlementWindows?${q}`, this.options));
         } catch (e) {
-            if (e instanceof HTTPResponseError &&
-                e.getData().resp.statusCode === 404 &&
-                e.getData().resp.message &&
-                e.getData().resp.message.errorInformation &&
-                e.getData().resp.message.errorInformation.errorDescription.match(/settlementWindow by filters.*not found/) !== null) {
+            if (e instanceof NotFoundError) {
                 return [];
             }
             throw e;
         }
     }
 
+
+    /**
+     * Yields every settlement window matching the query provided, for use with `for await`. Accepts
+     * the query of getSettlementWindows and the options of iterateSettlements, e.g. every window of
+     * June 2020, one day at a time:
+     *
+     * for await (const window of model.iterateSettlementWindows({
+     *     fromDateTime: '2020-06-01T00:00:00.000Z',
+     *     toDateTime: '2020-07-01T00:00:00.000Z',
+     * }, { concurrency: 4 })) { ... }
+     */
+    async *iterateSettlementWindows(query, opts) {
+        yield* paginate('iterateSettlementWindows', q => this.getSettlementWindows(q),
+            w => w.settlementWindowId, query, opts);
+    }
+
     /**
      * Closes a settlement window
      *
      * @returns {object}
      */
     async closeSettlementWindow(id, reason) {
-        return await post(`settlementWindows/${id}`, { state: 'CLOSED', reason: reason }, this.options);
+        return await request('settlementWindows', () => post(`settlementWindows/${id}`, { state: 'CLOSED', reason: reason }, this.options), true);
     }
 
     /**
-     * Creates a settlement including the specified windows
+     * Creates a settlement including the specified windows, under the named settlement model if
+     * one is given, or the switch's default model otherwise
      *
      * @returns {object}
      */
-    async createSettlement(reason, windows) {
-        return await post('settlements', {
+    async createSettlement(reason, windows, settlementModel) {
+        return await request('settlements', () => post('settlements', {
+            ...(settlementModel === undefined ? {} : { settlementModel }),
             reason,
             settlementWindows: windows.map(w => ({ id: Number(w) }))
-        }, this.options);
+        }, this.options));
     }
 
     /**
@@ -122,7 +303,166 @@ class SettlementsModel {
      * @returns {object}
      */
     async putSettlement(settlementId, body) {
-        return await put(`settlements/${settlementId}`, body, this.options);
+        return await request('settlements', () => put(`settlements/${settlementId}`, body, this.options), true);
+    }
+
+    /**
+     * Moves participant accounts of a settlement to their next state, PENDING_SETTLEMENT to
+     * PS_TRANSFERS_RECORDED and so on to SETTLED, with a single putSettlement. Options:
+     *
+     * {
+     *     reason,       recorded against each account moved
+     *     accounts,     [{ participantId, accountId }], the accounts to move; default every account
+     *                   of the settlement. IDs may be numbers or strings; results carry the IDs
+     *                   of the settlement.
+     *     state,        the state to move the accounts to; an account that can't move to it from
+     *                   its current state fails. By default each account moves to its next state.
+     * }
+     *
+     * Accounts that can't legally move, or that the switch rejects, are reported rather than thrown:
+     *
+     * {
+     *     settlementId,
+     *     state,        the state of the settlement afterwards
+     *     moved: [{ participantId, accountId, from, to }],
+     *     failed: [{ participantId, accountId, from, to, message }],
+     * }
+     *
+     * @returns {object}
+     */
+    async advanceSettlement(settlementId, { reason = 'Settlement advanced', accounts, state } = {}) {
+        if (state !== undefined && !ACCOUNT_STATES.slice(1).includes(state)) {
+            throw new Error(`advanceSettlement: state must be one of ${ACCOUNT_STATES.slice(1).join(', ')}, not ${state}`);
+        }
+        const settlement = await this.getSettlement(settlementId);
+        const current = settlement.participants.reduce((pv, p) => pv.concat(p.accounts.map(a => ({
+            participantId: p.id, accountId: a.id, from: a.state,
+        }))), []);
+        const selected = accounts === undefined ? current : accounts.map(({ participantId, accountId }) => (
+            current.find(a => sameId(a.participantId, participantId) && sameId(a.accountId, accountId))
+                || { participantId, accountId, from: undefined }));
+
+        const failed = [];
+        const legal = [];
+        selected.forEach(a => {
+            const next = nextAccountState(a.from);
+            const to = state === undefined ? next : state;
+            if (a.from === undefined) {
+                failed.push({ ...a, to, message: `Account ${a.accountId} of participant ${a.participantId} is not in settlement ${settlementId}` });
+            } else if (next === undefined || to !== next) {
+                failed.push({ ...a, to, message: `Account ${a.accountId} of participant ${a.participantId} cannot move from ${a.from} to ${to}` });
+            } else {
+                legal.push({ ...a, to });
+            }
+        });
+
+        if (legal.length === 0) {
+            return { settlementId, state: settlement.state, moved: [], failed };
+        }
+
+        const participants = [];
+        legal.forEach(a => {
+            let participant = participants.find(p => p.id === a.participantId);
+            if (participant === undefined) {
+                participant = { id: a.participantId, accounts: [] };
+                participants.push(participant);
+            }
+            participant.accounts.push({ id: a.accountId, reason, state: a.to });
+        });
+        let updated;
+        try {
+            updated = await this.putSettlement(settlementId, { participants });
+        } catch (e) {
+            legal.forEach(a => failed.push({ ...a, message: e.message }));
+            return { settlementId, state: settlement.state, moved: [], failed };
+        }
+
+        const moved = [];
+        legal.forEach(a => {
+            const participant = (updated.participants || []).find(p => sameId(p.id, a.participantId));
+            const account = participant === undefined ? undefined : participant.accounts.find(acc => sameId(acc.id, a.accountId));
+            if (account === undefined) {
+                failed.push({ ...a, message: `Account ${a.accountId} of participant ${a.participantId} is missing from the updated settlement` });
+            } else if (account.errorInformation) {
+                failed.push({ ...a, message: account.errorInformation.errorDescription });
+            } else if (account.state !== a.to) {
+                failed.push({ ...a, message: `Account ${a.accountId} of participant ${a.participantId} is ${account.state}, not ${a.to}` });
+            } else {
+                moved.push(a);
+            }
+        });
+        return { settlementId, state: updated.state, moved, failed };
+    }
+
+    /**
+     * Returns every settlement model of the hub
+     *
+     * @returns {array}
+     */
+    async getSettlementModels() {
+        return await request('settlementModels', () => get('settlementModels', this.ledgerOptions()));
+    }
+
+    /**
+     * Returns the named settlement model
+     *
+     * @returns {object}
+     */
+    async getSettlementModel(name) {
+        return await request('settlementModels', () => get(`settlementModels/${encodeURIComponent(name)}`, this.ledgerOptions()));
+    }
+
+    /**
+     * Creates a settlement model, e.g.
+     *
+     * {
+     *     name: 'DEFERREDNET',
+     *     settlementGranularity: 'NET',            or GROSS
+     *     settlementInterchange: 'MULTILATERAL',   or BILATERAL
+     *     settlementDelay: 'DEFERRED',             or IMMEDIATE
+     *     currency: 'XOF',                         optional, default every currency
+     *     requireLiquidityCheck: true,
+     *     ledgerAccountType: 'POSITION',
+     *     settlementAccountType: 'SETTLEMENT',
+     *     autoPositionReset: true,
+     * }
+     *
+     * The name and the fields taking one of a set of values are checked before the model is sent;
+     * the switch checks the rest.
+     *
+     * @returns {object}
+     */
+    async createSettlementModel(model) {
+        if (typeof model.name !== 'string' || model.name === '') {
+            throw new Error('createSettlementModel: name must be a non-empty string');
+        }
+        Object.entries(SETTLEMENT_MODEL_VALUES).forEach(([field, values]) => {
+            if (!values.includes(model[field])) {
+                throw new Error(`createSettlementModel: ${field} must be one of ${values.join(', ')}, not ${model[field]}`);
+            }
+        });
+        return await request('settlementModels', () => post('settlementModels', model, this.ledgerOptions()));
+    }
+
+    /**
+     * Updates the named settlement model. central-ledger allows a model to be activated and
+     * deactivated, with the body { isActive }.
+     *
+     * @returns {object}
+     */
+    async updateSettlementModel(name, body) {
+        return await request('settlementModels', () => put(`settlementModels/${encodeURIComponent(name)}`, body, this.ledgerOptions()));
+    }
+
+    /**
+     * The request options for the central-ledger admin API
+     *
+     * @returns {object}
+     */
+    ledgerOptions() {
+        return this.options.ledgerEndpoint === undefined
+            ? this.options
+            : { ...this.options, endpoint: this.options.ledgerEndpoint };
     }
 
     /**
@@ -131,7 +471,7 @@ class SettlementsModel {
      * @returns {object}
      */
     async getSettlementFiles(windowId) {
-        return await get(`settlementFile/${windowId}`, this.options);
+        return await request('settlementFile', () => get(`settlementFile/${windowId}`, this.options));
     }
 
     /**
@@ -140,8 +480,10 @@ class SettlementsModel {
      * @returns {object}
      */
     async postSettlementFile(settlementId, settlementFile, source) {
-        return await post('settlementFile', { settlementId, settlementFile, source }, this.options);
+        return await request('settlementFile', () => post('settlementFile', { settlementId, settlementFile, source }, this.options));
     }
 }
 
+SettlementsModel.ACCOUNT_STATES = ACCOUNT_STATES;
+
 module.exports = SettlementsModel;
@@ -0,0 +1,86 @@
+const countries = require('./countries.json');
+const ibanLengths = require('./ibanLengths.json');
+
+/**
+ * Validators for the bank identifiers of settlement bank accounts: IBANs (ISO 13616) and BICs
+ * (ISO 9362). Each validator returns { valid: true } or { valid: false, message }.
+ *
+ * ibanLengths.json holds the IBAN length of each country in the SWIFT IBAN registry, and of the
+ * countries of the BCEAO, BEAC and other zones that use national IBANs not yet in the registry.
+ */
+
+const BIC = /^[A-Z]{4}([A-Z]{2})[A-Z2-9][A-NP-Z0-9]([A-Z0-9]{3})?$/;
+
+const invalid = (message) => ({ valid: false, message });
+
+/**
+ * Returns the electronic format of an IBAN, without spaces and in upper case, as it must appear
+ * in a payment file.
+ *
+ * @returns {string}
+ */
+function electronicIban(iban) {
+    return String(iban).replace(/\s/g, '').toUpperCase();
+}
+
+// ISO 7064 mod 97-10 of an IBAN, computed digit by digit as the number is too large to hold
+const mod97 = (iban) => `${iban.substring(4)}${iban.substring(0, 4)}`
+    .split('')
+    .map((c) => (/[A-Z]/.test(c) ? String(c.charCodeAt(0) - 55) : c))
+    .join('')
+    .split('')
+    .reduce((pv, d) => (pv * 10 + Number(d)) % 97, 0);
+
+/**
+ * Validates an IBAN, in electronic or print format: the country code, the length for that country
+ * and the check digits.
+ *
+ * @returns {object}
+ */
+function validateIban(iban) {
+    if (typeof iban !== 'string') {
+        return invalid(`IBAN must be a string, not ${typeof iban}`);
+    }
+    const value = electronicIban(iban);
+    if (!/^[A-Z]{2}[0-9]{2}[A-Z0-9]+$/.test(value)) {
+        return invalid(`'${iban}' is not an IBAN: it must be a country code, two check digits and up to 30 letters or digits`);
+    }
+    const country = value.substring(0, 2);
+    const length = ibanLengths[country];
+    if (length === undefined) {
+        return invalid(`'${iban}' is not an IBAN: ${country} does not use IBANs`);
+    }
+    if (value.length !== length) {
+        return invalid(`'${iban}' is not an IBAN: ${country} IBANs are ${length} characters long, not ${value.length}`);
+    }
+    if (mod97(value) !== 1) {
+        return invalid(`'${iban}' is not an IBAN: the check digits are wrong, check for a typing error`);
+    }
+    return { valid: true };
+}
+
+/**
+ * Validates the structure of a BIC: four letter institution code, ISO 3166 country code, two
+ * character location code and optional three character branch code.
+ *
+ * @returns {object}
+ */
+function validateBic(bic) {
+    if (typeof bic !== 'string') {
+        return invalid(`BIC must be a string, not ${typeof bic}`);
+    }
+    const match = bic.match(BIC);
+    if (match === null) {
+        return invalid(`'${bic}' is not a BIC: it must be 8 or 11 upper case letters or digits, of which the first six are letters`);
+    }
+    if (!countries.includes(match[1]) && match[1] !== 'XK') {
+        return invalid(`'${bic}' is not a BIC: ${match[1]} is not a country code`);
+    }
+    return { valid: true };
+}
+
+module.exports = {
+    electronicIban,
+    validateBic,
+    validateIban,
+};
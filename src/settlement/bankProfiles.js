@@ -0,0 +1,169 @@
+const Big = require('big.js');
+const { createRegistry } = require('./registry');
+
+/**
+ * Bank profiles hold the values of a payment file that vary between settlement banks. A profile
+ * looks like:
+ *
+ * {
+ *     initiatingParty: { name },                  GrpHdr/InitgPty
+ *     debtor: { bic },                            Dbtr/Id/OrgId, optional
+ *     debtorAgent: { bic, country },              DbtrAgt
+ *     creditor: { contactName },                  Cdtr/CtctDtls, optional
+ *     creditorAgent: {                            CdtrAgt
+ *         bic, clearingSystemMemberId, name, country    all but bic optional
+ *     },
+ *     chargeBearer,                               ChrgBr, e.g. DEBT, SLEV
+ *     serviceLevel,                               PmtTpInf/SvcLvl/Cd, e.g. NURG, SEPA
+ *     accountId,                                  account ID normalisation, see below
+ *     remittanceText,                             RmtInf/Ustrd pattern, see below
+ *     maxTransactionAmount: { [currency]: amount },   largest single transfer, optional
+ * }
+ *
+ * accountId is either a function taking and returning an account ID, or a set of rules applied in
+ * this order: { stripWhitespace, stripLeadingZeros, uppercase }.
+ *
+ * remittanceText may contain the placeholders {windowId}, {currency}, {payerName} and
+ * {payeeName}. For a payment settling several windows {windowId} is replaced with their IDs
+ * separated by ', '.
+ *
+ * A payment larger than the maxTransactionAmount of its currency is made as several transactions,
+ * see splitAmount.
+ */
+
+const profiles = {
+    'citi-ci': {
+        initiatingParty: { name: 'Casablanca JV Org' },
+        debtor: { bic: 'CITICIAX' },
+        debtorAgent: { bic: 'CITICIAX', country: 'CI' },
+        creditor: { contactName: 'Casablanca JV Org' },
+        creditorAgent: {
+            bic: 'CITICIAX',
+            clearingSystemMemberId: '0901',
+            name: 'CITIBANK(ISO)',
+            country: 'CI',
+        },
+        chargeBearer: 'DEBT',
+        serviceLevel: 'NURG',
+        accountId: { stripLeadingZeros: true },
+        remittanceText: 'Settlement Window {windowId}',
+    },
+};
+
+const DEFAULT_PROFILE = 'citi-ci';
+
+const REQUIRED_FIELDS = [
+    ['initiatingParty', 'name'],
+    ['debtorAgent', 'bic'],
+    ['creditorAgent', 'bic'],
+    ['chargeBearer'],
+    ['serviceLevel'],
+    ['remittanceText'],
+];
+
+/**
+ * Throws if the supplied profile is missing a required field.
+ */
+function validateBankProfile(profile) {
+    REQUIRED_FIELDS.forEach((field) => {
+        const value = field.reduce((pv, k) => (pv === undefined ? pv : pv[k]), profile);
+        if (value === undefined || value === null || value === '') {
+            throw new Error(`Bank profile is missing required field ${field.join('.')}`);
+        }
+    });
+    Object.entries(profile.maxTransactionAmount || {}).forEach(([currency, max]) => {
+        let amount;
+        try {
+            amount = Big(max);
+        } catch (err) {
+            amount = Big(0);
+        }
+        if (amount.lte(0)) {
+            throw new Error(`Bank profile maxTransactionAmount for ${currency} must be a positive amount, not ${max}`);
+        }
+    });
+}
+
+const registry = createRegistry({
+    kind: 'bank profile',
+    plural: 'profiles',
+    validate: validateBankProfile,
+}, profiles);
+
+/**
+ * Registers a bank profile under the supplied name.
+ */
+function registerBankProfile(name, profile) {
+    registry.register(name, profile);
+}
+
+/**
+ * Returns the named bank profile, or checks and returns a profile object.
+ *
+ * @returns {object}
+ */
+function getBankProfile(profile = DEFAULT_PROFILE) {
+    return registry.resolve(profile);
+}
+
+/**
+ * Applies the account ID normalisation of the supplied profile.
+ *
+ * @returns {string}
+ */
+function normaliseAccountId(profile, accountId) {
+    const rules = profile.accountId || {};
+    if (typeof rules === 'function') {
+        return rules(accountId);
+    }
+    let result = String(accountId);
+    if (rules.stripWhitespace) {
+        result = result.replace(/\s/g, '');
+    }
+    if (rules.stripLeadingZeros) {
+        result = result.replace(/^0*/, '');
+    }
+    if (rules.uppercase) {
+        result = result.toUpperCase();
+    }
+    return result;
+}
+
+/**
+ * Fills the remittance text pattern of the supplied profile.
+ *
+ * @returns {string}
+ */
+function remittanceText(profile, values) {
+    return profile.remittanceText.replace(/\{(\w+)\}/g, (match, key) => (
+        Object.prototype.hasOwnProperty.call(values, key) ? [].concat(values[key]).join(', ') : match
+    ));
+}
+
+/**
+ * Splits a payment into the transaction amounts the supplied profile allows: as many transactions
+ * of the maxTransactionAmount of the currency as are needed, then one for the remainder. A payment
+ * within the limit, or in a currency without one, is a single transaction of the original amount.
+ *
+ * @returns {array}
+ */
+function splitAmount(profile, currency, amount) {
+    const max = (profile.maxTransactionAmount || {})[currency];
+    if (max === undefined || Big(amount).lte(max)) {
+        return [amount.toString()];
+    }
+    const parts = [];
+    for (let remaining = Big(amount); remaining.gt(0); remaining = remaining.minus(max)) {
+        parts.push((remaining.gt(max) ? Big(max) : remaining).toString());
+    }
+    return parts;
+}
+
+module.exports = {
+    bankProfiles: profiles,
+    getBankProfile,
+    normaliseAccountId,
+    registerBankProfile,
+    remittanceText,
+    splitAmount,
+};
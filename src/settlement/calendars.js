@@ -0,0 +1,157 @@
+const { createRegistry } = require('./registry');
+
+/**
+ * Business day calendars, used to choose the requested execution date of payment files. A calendar
+ * looks like:
+ *
+ * {
+ *     weekend: [0, 6],                days of the week on which the bank executes no payments,
+ *                                     0 being Sunday; default Saturday and Sunday
+ *     holidays: ['2020-12-25', '01-01'],   dates, or month and day for holidays that fall on the
+ *                                     same date every year
+ *     cutOff: '16:00',                UTC time of day after which a file is executed from the
+ *                                     next day, optional
+ * }
+ *
+ * Calendars are registered under the settlement currency, e.g. 'XOF', or country, e.g. 'CI', they
+ * apply to; loadCalendars registers every calendar in a JSON file of the form
+ * { "XOF": { ... }, "CI": { ... } }.
+ */
+
+const DEFAULT_CALENDAR = { weekend: [0, 6], holidays: [] };
+
+const calendars = {};
+
+const DATE = /^(\d{4}-)?\d{2}-\d{2}$/;
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// The number of days searched for a business day before a calendar is taken to have none
+const MAX_DAYS = 366;
+
+/**
+ * Throws if the supplied calendar is malformed.
+ */
+function validateCalendar(calendar) {
+    const { weekend = DEFAULT_CALENDAR.weekend, holidays = [], cutOff } = calendar;
+    if (!Array.isArray(weekend) || weekend.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+        throw new Error('Calendar weekend must be a list of days of the week from 0 (Sunday) to 6 (Saturday)');
+    }
+    if (new Set(weekend).size === 7) {
+        throw new Error('Calendar weekend must leave at least one business day in the week');
+    }
+    if (!Array.isArray(holidays) || holidays.some((h) => typeof h !== 'string' || !DATE.test(h))) {
+        throw new Error('Calendar holidays must be a list of dates, YYYY-MM-DD, or annual dates, MM-DD');
+    }
+    if (cutOff !== undefined && !TIME.test(cutOff)) {
+        throw new Error(`Calendar cut-off ${cutOff} must be a UTC time of day, HH:MM`);
+    }
+}
+
+const registry = createRegistry({
+    kind: 'calendar',
+    plural: 'calendars',
+    validate: validateCalendar,
+}, calendars);
+
+/**
+ * Registers a calendar under the supplied currency or country code.
+ */
+function registerCalendar(name, calendar) {
+    registry.register(name, calendar);
+}
+
+/**
+ * Registers every calendar in the supplied JSON file, returning their names.
+ *
+ * @returns {array}
+ */
+function loadCalendars(file) {
+    return registry.load(file);
+}
+
+/**
+ * Returns the named calendar, or checks and returns a calendar object.
+ *
+ * @returns {object}
+ */
+function getCalendar(calendar) {
+    return registry.resolve(calendar);
+}
+
+/**
+ * Returns the calendar registered for the first of the supplied currency and country codes that
+ * has one, or the default calendar, with a Saturday and Sunday weekend and no holidays.
+ *
+ * @returns {object}
+ */
+function findCalendar(...names) {
+    const name = names.find(registry.has);
+    return name === undefined ? DEFAULT_CALENDAR : calendars[name];
+}
+
+const isoDate = (date) => date.toISOString().substring(0, 10);
+
+const addDays = (date, days) => new Date(Date.UTC(
+    date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days,
+));
+
+/**
+ * Whether the bank executes payments on the supplied date, a Date or an ISO date string.
+ *
+ * @returns {boolean}
+ */
+function isBusinessDay(calendar, date) {
+    const { weekend = DEFAULT_CALENDAR.weekend, holidays = [] } = getCalendar(calendar);
+    const day = isoDate(new Date(date));
+    return !weekend.includes(new Date(day).getUTCDay())
+        && !holidays.some((h) => h === day || h === day.substring(5));
+}
+
+/**
+ * Returns the execution date, YYYY-MM-DD, of a payment file created at the supplied time: with an
+ * offset of 0, the first business day on or after the creation date; with an offset of N, the Nth
+ * business day after it (T+N). A file created after the calendar's cut-off is treated as created
+ * the next day.
+ *
+ * @returns {string}
+ */
+function nextExecutionDate(calendar, now, offset = 0) {
+    const cal = getCalendar(calendar);
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new Error(`Execution date offset ${offset} must be a non-negative whole number of business days`);
+    }
+    const afterCutOff = cal.cutOff !== undefined
+        && now.toISOString().substring(11, 16) >= cal.cutOff;
+    let date = addDays(now, afterCutOff ? 1 : 0);
+    let sinceBusinessDay = 0;
+    const nextDay = () => {
+        date = addDays(date, 1);
+        sinceBusinessDay = isBusinessDay(cal, date) ? 0 : sinceBusinessDay + 1;
+        if (sinceBusinessDay > MAX_DAYS) {
+            throw new Error(`Calendar has no business day within ${MAX_DAYS} days of ${isoDate(now)}`);
+        }
+    };
+    if (offset === 0) {
+        while (!isBusinessDay(cal, date)) {
+            nextDay();
+        }
+    }
+    for (let remaining = offset; remaining > 0;) {
+        nextDay();
+        if (sinceBusinessDay === 0) {
+            remaining -= 1;
+        }
+    }
+    return isoDate(date);
+}
+
+module.exports = {
+    calendars,
+    findCalendar,
+    getCalendar,
+    isBusinessDay,
+    loadCalendars,
+    nextExecutionDate,
+    registerCalendar,
+};
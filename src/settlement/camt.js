@@ -0,0 +1,113 @@
+/* eslint-disable no-underscore-dangle */
+const { xml2js } = require('xml-js');
+const {
+    accountId, asArray, at, text,
+} = require('./compact');
+
+/**
+ * Parses camt.053 bank-to-customer statements and camt.054 debit/credit notifications, any
+ * camt.053.001.xx or camt.054.001.xx version, into normalised entries:
+ *
+ * {
+ *     statementId,            Stmt/Id or Ntfctn/Id
+ *     account,                statement account, IBAN or other ID
+ *     amount,                 string, always positive
+ *     currency,
+ *     creditDebit,            'CRDT' or 'DBIT' from the statement account's point of view
+ *     status,                 e.g. 'BOOK', 'PDNG'
+ *     bookingDate,            YYYY-MM-DD, or undefined
+ *     valueDate,              YYYY-MM-DD, or undefined
+ *     entryReference,         Ntry/NtryRef, or undefined
+ *     accountServicerReference,
+ *     endToEndId,             undefined where absent or NOTPROVIDED
+ *     counterpartyAccount,    creditor account of a debit, debtor account of a credit
+ *     counterpartyName,
+ *     remittanceText,         unstructured remittance lines joined with a space
+ * }
+ *
+ * A batched entry with several transaction details produces one normalised entry per transaction.
+ */
+
+// Dt holds a date, DtTm a date and time; either way we're only interested in the date
+const date = (node) => {
+    const value = text(at(node, 'Dt')) || text(at(node, 'DtTm'));
+    return value === undefined ? undefined : value.substring(0, 10);
+};
+
+// Parties are held directly up to version 07 and in a Pty element from version 08
+const partyName = (party) => text(at(party, 'Nm')) || text(at(party, 'Pty', 'Nm'));
+
+const MESSAGE_TYPES = {
+    BkToCstmrStmt: { type: 'camt.053', reports: 'Stmt' },
+    BkToCstmrDbtCdtNtfctn: { type: 'camt.054', reports: 'Ntfctn' },
+};
+
+const transactionAmount = (txDtls) => at(txDtls, 'Amt') || at(txDtls, 'AmtDtls', 'TxAmt', 'Amt');
+
+function normaliseEntry(report, ntry) {
+    const creditDebit = text(ntry.CdtDbtInd);
+    const sts = ntry.Sts;
+    const entry = {
+        statementId: text(report.Id),
+        account: accountId(report.Acct),
+        amount: text(ntry.Amt),
+        currency: ntry.Amt._attributes.Ccy,
+        creditDebit,
+        status: text(sts) || text(at(sts, 'Cd')),
+        bookingDate: date(ntry.BookgDt),
+        valueDate: date(ntry.ValDt),
+        entryReference: text(ntry.NtryRef),
+        accountServicerReference: text(ntry.AcctSvcrRef),
+    };
+    const additionalInfo = text(ntry.AddtlNtryInf);
+    const details = asArray(ntry.NtryDtls).reduce((pv, d) => [...pv, ...asArray(d.TxDtls)], []);
+    if (details.length === 0) {
+        return [{ ...entry, remittanceText: additionalInfo }];
+    }
+    const counterparty = creditDebit === 'DBIT' ? 'Cdtr' : 'Dbtr';
+    return details.map((tx) => {
+        const amt = details.length > 1 ? transactionAmount(tx) : undefined;
+        const endToEndId = text(at(tx, 'Refs', 'EndToEndId'));
+        const ustrd = asArray(at(tx, 'RmtInf', 'Ustrd')).map(text);
+        return {
+            ...entry,
+            ...(amt === undefined ? {} : { amount: text(amt), currency: amt._attributes.Ccy }),
+            endToEndId: endToEndId === 'NOTPROVIDED' ? undefined : endToEndId,
+            counterpartyAccount: accountId(at(tx, 'RltdPties', `${counterparty}Acct`)),
+            counterpartyName: partyName(at(tx, 'RltdPties', counterparty)),
+            remittanceText: ustrd.length > 0 ? ustrd.join(' ') : additionalInfo,
+        };
+    });
+}
+
+/**
+ * Parses a camt.053 or camt.054 message, returning { type, msgId, createdAt, entries }.
+ *
+ * @returns {object}
+ */
+function parseStatement(xml) {
+    const { Document } = xml2js(xml, { compact: true });
+    const name = Document === undefined ? undefined
+        : Object.keys(Document).find((k) => MESSAGE_TYPES[k] !== undefined);
+    if (name === undefined) {
+        throw new Error('Statement is not a camt.053 or camt.054 document');
+    }
+    const { type, reports } = MESSAGE_TYPES[name];
+    const message = Document[name];
+    return {
+        type,
+        msgId: text(at(message, 'GrpHdr', 'MsgId')),
+        createdAt: text(at(message, 'GrpHdr', 'CreDtTm')),
+        entries: asArray(message[reports]).reduce((pv, report) => [
+            ...pv,
+            ...asArray(report.Ntry).reduce((entries, ntry) => [
+                ...entries,
+                ...normaliseEntry(report, ntry),
+            ], []),
+        ], []),
+    };
+}
+
+module.exports = {
+    parseStatement,
+};
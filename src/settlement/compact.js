@@ -0,0 +1,54 @@
+/* eslint-disable no-underscore-dangle */
+
+/**
+ * Helpers for reading documents parsed by xml-js in compact mode.
+ */
+
+/**
+ * Returns the supplied element as an array; repeated elements are arrays, single elements are not
+ * and absent elements are undefined.
+ *
+ * @returns {array}
+ */
+const asArray = (v) => {
+    if (v === undefined) {
+        return [];
+    }
+    return Array.isArray(v) ? v : [v];
+};
+
+/**
+ * Returns the text of the supplied element, or undefined.
+ *
+ * @returns {string}
+ */
+const text = (node) => (node === undefined || node._text === undefined
+    ? undefined : String(node._text));
+
+/**
+ * Follows a path of element names from the supplied element, returning undefined where an element
+ * on the path is absent.
+ *
+ * @returns {object}
+ */
+const at = (node, ...path) => path.reduce((pv, k) => (pv === undefined ? pv : pv[k]), node);
+
+/**
+ * Returns the ID of a CashAccount element, either its IBAN or its other ID.
+ *
+ * @returns {string}
+ */
+const accountId = (acct) => {
+    const id = at(acct, 'Id');
+    if (id === undefined) {
+        return undefined;
+    }
+    return text(id.IBAN) || text(at(id, 'Othr', 'Id'));
+};
+
+module.exports = {
+    accountId,
+    asArray,
+    at,
+    text,
+};
@@ -0,0 +1,150 @@
+const Big = require('big.js');
+const bundled = require('./currencies.json');
+const { createRegistry } = require('./registry');
+
+/**
+ * The currencies settlements can be made in, keyed by ISO 4217 code. A currency looks like:
+ *
+ * {
+ *     dp: 2,                          minor units, the number of decimal places of an amount
+ *     desc: 'United States dollar',   optional
+ * }
+ *
+ * The registry starts with the ISO 4217 currencies bundled in currencies.json. registerCurrency
+ * adds a currency or overrides a bundled one at runtime, e.g. where a settlement bank pays a
+ * currency without its minor units; loadCurrencies registers every currency in a JSON file of the
+ * form { "XOF": { "dp": 0 }, ... }.
+ */
+
+const currencies = Object.entries(bundled).reduce(
+    (pv, [code, currency]) => ({ ...pv, [code]: { ...currency } }),
+    {},
+);
+
+const CODE = /^[A-Z]{3}$/;
+
+// ISO 4217 currencies have no more than four minor units
+const MAX_DP = 4;
+
+// big.js rounding modes: 0 round down, 1 half up, 2 half even, 3 round up
+const ROUND_HALF_UP = 1;
+
+/**
+ * Throws if the supplied currency code or currency is malformed.
+ */
+function validateCurrency(currency, code) {
+    if (typeof code !== 'string' || !CODE.test(code)) {
+        throw new Error(`Currency code ${code} must be three uppercase letters`);
+    }
+    const { dp, desc } = currency || {};
+    if (!Number.isInteger(dp) || dp < 0 || dp > MAX_DP) {
+        throw new Error(`Currency ${code} minor units must be a whole number from 0 to ${MAX_DP}, not ${dp}`);
+    }
+    if (desc !== undefined && typeof desc !== 'string') {
+        throw new Error(`Currency ${code} description must be a string`);
+    }
+}
+
+const registry = createRegistry({
+    kind: 'currency',
+    plural: 'currencies',
+    validate: validateCurrency,
+}, currencies);
+
+/**
+ * Registers a currency under the supplied ISO 4217 code.
+ */
+function registerCurrency(code, currency) {
+    registry.register(code, { ...currency });
+}
+
+/**
+ * Registers every currency in the supplied JSON file, returning their codes.
+ *
+ * @returns {array}
+ */
+function loadCurrencies(file) {
+    return registry.load(file);
+}
+
+/**
+ * Whether settlements can be made in the supplied currency.
+ *
+ * @returns {boolean}
+ */
+function isSupported(code) {
+    return registry.has(code);
+}
+
+/**
+ * Returns the registered currency with the supplied code.
+ *
+ * @returns {object}
+ */
+function getCurrency(code) {
+    if (!isSupported(code)) {
+        throw new Error(`Unsupported currency ${code}. Add it with registerCurrency or loadCurrencies.`);
+    }
+    return currencies[code];
+}
+
+/**
+ * Returns the number of decimal places of amounts in the supplied currency.
+ *
+ * @returns {number}
+ */
+function getMinorUnits(code) {
+    return getCurrency(code).dp;
+}
+
+/**
+ * Rounds an amount to the minor units of the supplied currency, half up unless another big.js
+ * rounding mode, 0 to 3, is given.
+ *
+ * @returns {string}
+ */
+function roundAmount(code, amount, rounding = ROUND_HALF_UP) {
+    return Big(amount).round(getMinorUnits(code), rounding).toString();
+}
+
+/**
+ * Formats an amount for display with exactly the minor units of the supplied currency, e.g.
+ * '1500.00' USD, rounding as roundAmount.
+ *
+ * @returns {string}
+ */
+function formatAmount(code, amount, rounding = ROUND_HALF_UP) {
+    return Big(roundAmount(code, amount, rounding)).toFixed(getMinorUnits(code));
+}
+
+/**
+ * Returns an amount as a string without trailing zeros, as the switch expects it. Throws rather
+ * than round an amount that isn't a number or has more decimal places than the currency allows.
+ *
+ * @returns {string}
+ */
+function normaliseAmount(code, amount) {
+    const dp = getMinorUnits(code);
+    let amt;
+    try {
+        amt = Big(amount);
+    } catch (err) {
+        throw new Error(`Amount ${amount} is not a number`);
+    }
+    if (!amt.round(dp).eq(amt)) {
+        throw new Error(`Amount ${amount} has more than the ${dp} decimal places allowed for ${code}`);
+    }
+    return amt.toString();
+}
+
+module.exports = {
+    currencies,
+    formatAmount,
+    getCurrency,
+    getMinorUnits,
+    isSupported,
+    loadCurrencies,
+    normaliseAmount,
+    registerCurrency,
+    roundAmount,
+};
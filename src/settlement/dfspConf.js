@@ -0,0 +1,151 @@
+const countries = require('./countries.json');
+const { validateIban } = require('./bankIdentifiers');
+
+/**
+ * Validates DFSP configs, as taken by format, generatePaymentFile and the exporters:
+ *
+ * {
+ *     [participantId]: {
+ *         name,                   required
+ *         country,                required, ISO 3166-1 alpha-2 code, e.g. 'CI'
+ *         accountId,              bank account ID, a string, e.g. '0123456789'
+ *         iban,                   IBAN, in place of accountId, e.g. 'CI93CI0080111301134291200589'
+ *         accounts: {             optional, per ledger account overrides of the fields above
+ *             [ledgerAccountId]: { accountId, iban, name, country },
+ *         },
+ *     },
+ * }
+ *
+ * Account IDs must be strings of 1 to 34 letters, digits, spaces or hyphens, starting and ending
+ * with a letter or digit; a number would lose any leading zeros. IBANs must have the length of
+ * their country and correct check digits.
+ */
+
+const ACCOUNT_ID = /^[A-Za-z0-9]([A-Za-z0-9 -]{0,32}[A-Za-z0-9])?$/;
+
+const hasBankAccount = (entry) => entry.accountId !== undefined || entry.iban !== undefined;
+
+const isObject = (v) => typeof v === 'object' && v !== null && !Array.isArray(v);
+
+const describe = (v) => {
+    if (v === null) {
+        return 'null';
+    }
+    return Array.isArray(v) ? 'array' : typeof v;
+};
+
+// Checks the bank account fields shared by participants and their ledger accounts
+const checkFields = (entry, path, required, error) => {
+    const string = (field, check) => {
+        const value = entry[field];
+        if (value === undefined) {
+            if (required.includes(field)) {
+                error(`${path}.${field}`, `${path} is missing required field ${field}`);
+            }
+        } else if (typeof value !== 'string') {
+            error(`${path}.${field}`, `${path}.${field} must be a string, not ${describe(value)}${
+                typeof value === 'number' ? `; quote it, e.g. '${value}'` : ''}`);
+        } else {
+            check(value);
+        }
+    };
+    string('name', (name) => {
+        if (name.trim() === '') {
+            error(`${path}.name`, `${path}.name must not be empty`);
+        }
+    });
+    string('country', (country) => {
+        if (!countries.includes(country)) {
+            error(`${path}.country`, `${path}.country '${country}' is not an ISO 3166-1 alpha-2 country code${
+                countries.includes(country.toUpperCase()) ? `; did you mean '${country.toUpperCase()}'?` : ''}`);
+        }
+    });
+    string('accountId', (accountId) => {
+        if (!ACCOUNT_ID.test(accountId)) {
+            error(`${path}.accountId`, `${path}.accountId '${accountId}' is not a valid account ID: use 1 to 34 letters, digits, spaces or hyphens`);
+        }
+    });
+    string('iban', (iban) => {
+        const { valid, message } = validateIban(iban);
+        if (!valid) {
+            error(`${path}.iban`, `${path}.iban ${message}`);
+        }
+    });
+};
+
+/**
+ * Checks the supplied DFSP config, returning every problem found rather than stopping at the
+ * first:
+ *
+ * {
+ *     valid: false,
+ *     errors: [ { path: '2.accounts.20.accountId', message } ]
+ * }
+ *
+ * Where participants are supplied, in the form of the participants of a settlement, each
+ * participant must be in the config and each of its ledger accounts with a non-zero net settlement
+ * amount must resolve to a bank account.
+ *
+ * @returns {object}
+ */
+function validateDfspConf(conf, participants) {
+    const errors = [];
+    const error = (path, message) => errors.push({ path, message });
+
+    if (!isObject(conf)) {
+        error('', `DFSP config must be an object keyed by participant ID, not ${describe(conf)}`);
+        return { valid: false, errors };
+    }
+
+    Object.entries(conf).forEach(([participantId, entry]) => {
+        if (!isObject(entry)) {
+            error(participantId, `${participantId} must be an object, not ${describe(entry)}`);
+            return;
+        }
+        checkFields(entry, participantId, ['name', 'country'], error);
+        if (entry.accounts === undefined) {
+            if (!hasBankAccount(entry)) {
+                error(`${participantId}.accountId`, `${participantId} has no bank account; set accountId, iban or accounts`);
+            }
+            return;
+        }
+        if (!isObject(entry.accounts)) {
+            error(`${participantId}.accounts`, `${participantId}.accounts must be an object keyed by ledger account ID, not ${describe(entry.accounts)}`);
+            return;
+        }
+        Object.entries(entry.accounts).forEach(([ledgerAccountId, account]) => {
+            const path = `${participantId}.accounts.${ledgerAccountId}`;
+            if (!isObject(account)) {
+                error(path, `${path} must be an object, not ${describe(account)}`);
+                return;
+            }
+            if (!hasBankAccount(entry) && !hasBankAccount(account)) {
+                error(`${path}.accountId`, `${path} has no bank account; set accountId or iban`);
+            }
+            checkFields(account, path, [], error);
+        });
+    });
+
+    (participants || []).forEach(({ id, accounts = [] }) => {
+        const entry = conf[id];
+        if (entry === undefined) {
+            error(String(id), `Participant ${id} is in the settlement but not in the DFSP config`);
+            return;
+        }
+        if (!isObject(entry) || hasBankAccount(entry) || !isObject(entry.accounts)) {
+            return;
+        }
+        accounts
+            .filter((a) => !a.netSettlementAmount || Number(a.netSettlementAmount.amount) !== 0)
+            .filter((a) => !isObject(entry.accounts[a.id]) || !hasBankAccount(entry.accounts[a.id]))
+            .forEach((a) => {
+                error(`${id}.accounts.${a.id}`, `Ledger account ${a.id} of participant ${id} has no bank account; set ${id}.accountId, ${id}.iban or ${id}.accounts.${a.id}.accountId`);
+            });
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+    validateDfspConf,
+};
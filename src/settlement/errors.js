@@ -0,0 +1,109 @@
+/* eslint-disable max-classes-per-file */
+const { HTTPResponseError } = require('../requests/requests');
+
+/**
+ * Errors thrown by SettlementsModel when the switch returns an error response, chosen by the
+ * Mojaloop errorInformation.errorCode of the response rather than its errorDescription, which
+ * central-settlement is free to reword:
+ *
+ * SettlementApiError                      any error response
+ *     NotFoundError                       3200-3299, or HTTP 404 without an error code
+ *         SettlementNotFoundError         ... from a settlements request
+ *         SettlementWindowNotFoundError   ... from a settlementWindows request
+ *         SettlementModelNotFoundError    ... from a settlementModels request
+ *     ValidationError                     3100-3199
+ *         InvalidStateTransitionError     ... from a request changing the state of a settlement
+ *                                         or window
+ *     ServerError                         2000-2999, or HTTP 5xx without an error code
+ *
+ * Each is an HTTPResponseError, so getData() still returns the request and response, and carries
+ * the errorCode, errorDescription and HTTP statusCode of the response.
+ */
+
+class SettlementApiError extends HTTPResponseError {
+    constructor(params, { errorCode, errorDescription, statusCode } = {}) {
+        super({
+            ...params,
+            msg: errorDescription === undefined ? params.msg : `${errorDescription} (${errorCode})`,
+        });
+        this.name = this.constructor.name;
+        this.errorCode = errorCode;
+        this.errorDescription = errorDescription;
+        this.statusCode = statusCode;
+    }
+}
+
+class NotFoundError extends SettlementApiError {}
+
+class SettlementNotFoundError extends NotFoundError {}
+
+class SettlementWindowNotFoundError extends NotFoundError {}
+
+class SettlementModelNotFoundError extends NotFoundError {}
+
+class ValidationError extends SettlementApiError {}
+
+class InvalidStateTransitionError extends ValidationError {}
+
+class ServerError extends SettlementApiError {}
+
+// errorInformation is at the top level of a Mojaloop error response, or under message where the
+// switch wraps it in a hapi error response
+const errorInformation = (resp) => {
+    if (resp && resp.errorInformation) {
+        return resp.errorInformation;
+    }
+    return (resp && resp.message && resp.message.errorInformation) || {};
+};
+
+const inRange = (code, from, to) => (
+    code !== undefined && Number(code) >= from && Number(code) <= to
+);
+
+/**
+ * Converts an HTTPResponseError from the supplied settlement API resource, 'settlements',
+ * 'settlementWindows' or 'settlementModels', into the matching error class above. A stateChange
+ * request is one that moves a settlement or window to another state. Other errors are returned as
+ * they are.
+ *
+ * @returns {Error}
+ */
+function toSettlementError(err, { resource, stateChange = false } = {}) {
+    if (!(err instanceof HTTPResponseError) || err instanceof SettlementApiError) {
+        return err;
+    }
+    const params = err.getData();
+    const { errorCode, errorDescription } = errorInformation(params.resp);
+    const statusCode = params.res && params.res.status !== undefined
+        ? params.res.status
+        : (params.resp || {}).statusCode;
+    const info = { errorCode, errorDescription, statusCode };
+
+    if (inRange(errorCode, 3200, 3299) || (errorCode === undefined && statusCode === 404)) {
+        const NotFound = {
+            settlements: SettlementNotFoundError,
+            settlementWindows: SettlementWindowNotFoundError,
+            settlementModels: SettlementModelNotFoundError,
+        }[resource] || NotFoundError;
+        return new NotFound(params, info);
+    }
+    if (inRange(errorCode, 3100, 3199)) {
+        return new (stateChange ? InvalidStateTransitionError : ValidationError)(params, info);
+    }
+    if (inRange(errorCode, 2000, 2999) || (errorCode === undefined && statusCode >= 500)) {
+        return new ServerError(params, info);
+    }
+    return new SettlementApiError(params, info);
+}
+
+module.exports = {
+    InvalidStateTransitionError,
+    NotFoundError,
+    ServerError,
+    SettlementApiError,
+    SettlementModelNotFoundError,
+    SettlementNotFoundError,
+    SettlementWindowNotFoundError,
+    ValidationError,
+    toSettlementError,
+};
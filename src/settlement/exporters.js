@@ -0,0 +1,164 @@
+const Big = require('big.js');
+const {
+    bankAccount, bankAccountId, bankPayments, parseAccountKey,
+} = require('./accounts');
+const { getBankProfile, remittanceText, splitAmount } = require('./bankProfiles');
+
+/**
+ * Exporters for banks and systems that take payment instructions in a format other than pain.001.
+ * Each takes the output of minPaymentsAlgorithm (or any value accepted by format), the DFSP config
+ * and the settlement window ID. A payment instruction is:
+ *
+ * {
+ *     windowId,
+ *     currency,
+ *     amount,                 string
+ *     payer,                  ledger account key, see accountKey
+ *     payerParticipantId,
+ *     payerName,
+ *     payerAccount,           IBAN or bank account ID normalised with the bank profile
+ *     payee, payeeParticipantId, payeeName, payeeAccount,
+ *     reference,              the remittance text of the bank profile, identifying the window
+ * }
+ */
+
+const FIELDS = [
+    'windowId',
+    'currency',
+    'amount',
+    'payer',
+    'payerParticipantId',
+    'payerName',
+    'payerAccount',
+    'payee',
+    'payeeParticipantId',
+    'payeeName',
+    'payeeAccount',
+    'reference',
+];
+
+/**
+ * Returns the payment instructions for the supplied payments, in payment matrix order.
+ * opts.bankProfile is applied as it is by format, so a payment above its maxTransactionAmount is
+ * several instructions, as it is several transactions in the payment file.
+ *
+ * @returns {array}
+ */
+function paymentInstructions(payments, dfspConf, windowId, opts = {}) {
+    const profile = getBankProfile(opts.bankProfile);
+    return bankPayments(profile, dfspConf, payments).reduce((pv, { currency, matrix }) => [
+        ...pv,
+        ...Object.entries(matrix).reduce((payerPayments, [payer, payees]) => [
+            ...payerPayments,
+            ...Object.entries(payees).reduce((payeePayments, [payee, total]) => {
+                const payerAccount = bankAccount(dfspConf, payer);
+                const payeeAccount = bankAccount(dfspConf, payee);
+                return payeePayments.concat(splitAmount(profile, currency, total).map((amount) => ({
+                    windowId,
+                    currency,
+                    amount,
+                    payer,
+                    payerParticipantId: parseAccountKey(payer).participantId,
+                    payerName: payerAccount.name,
+                    payerAccount: bankAccountId(profile, payerAccount),
+                    payee,
+                    payeeParticipantId: parseAccountKey(payee).participantId,
+                    payeeName: payeeAccount.name,
+                    payeeAccount: bankAccountId(profile, payeeAccount),
+                    reference: remittanceText(profile, {
+                        windowId,
+                        currency,
+                        payerName: payerAccount.name,
+                        payeeName: payeeAccount.name,
+                    }),
+                })));
+            }, []),
+        ], []),
+    ], []);
+}
+
+/**
+ * Exports payments as a JSON document:
+ *
+ * {
+ *     windowId,
+ *     createdAt,              ISO date time from opts.clock, default now
+ *     totals: { [currency]: { count, amount } },
+ *     payments: [ payment instruction ]
+ * }
+ *
+ * opts.spaces (default 2) is passed to JSON.stringify.
+ *
+ * @returns {string}
+ */
+function exportPaymentsJson(payments, dfspConf, windowId, opts = {}) {
+    const { clock = () => new Date(), spaces = 2 } = opts;
+    const instructions = paymentInstructions(payments, dfspConf, windowId, opts);
+    const totals = instructions.reduce((pv, { currency, amount }) => {
+        const total = pv[currency] || { count: 0, amount: '0' };
+        return {
+            ...pv,
+            [currency]: {
+                count: total.count + 1,
+                amount: Big(total.amount).plus(amount).toString(),
+            },
+        };
+    }, {});
+    return JSON.stringify({
+        windowId,
+        createdAt: clock().toISOString(),
+        totals,
+        payments: instructions,
+    }, null, spaces);
+}
+
+// Resolves a CSV column: a field name, { header, field } or { header, value: payment => value }
+const csvColumn = (column) => {
+    const { header, field, value } = typeof column === 'string'
+        ? { header: column, field: column } : column;
+    if (value !== undefined) {
+        if (typeof value !== 'function') {
+            throw new Error(`CSV column ${header} value must be a function`);
+        }
+        return { header, value };
+    }
+    if (!FIELDS.includes(field)) {
+        throw new Error(`Unknown CSV column ${field}. Available columns are: ${FIELDS.join(', ')}`);
+    }
+    return { header: header === undefined ? field : header, value: (p) => p[field] };
+};
+
+/**
+ * Exports payments as CSV, one row per payment instruction.
+ *
+ * opts.columns lists the columns, in order; each is the name of a payment instruction field, or
+ * { header, field } to rename a field, or { header, value } where value is a function taking a
+ * payment instruction, for values such as constants or reformatted amounts. The default is every
+ * field. opts.delimiter defaults to ',', opts.eol to '\r\n' as RFC 4180 requires, and
+ * opts.header (default true) controls the header row. Values containing the delimiter, quotes or
+ * line breaks are quoted.
+ *
+ * @returns {string}
+ */
+function exportPaymentsCsv(payments, dfspConf, windowId, opts = {}) {
+    const {
+        columns = FIELDS, delimiter = ',', eol = '\r\n', header = true,
+    } = opts;
+    const cols = columns.map(csvColumn);
+    const quote = (v) => {
+        const s = v === undefined || v === null ? '' : String(v);
+        return s.includes(delimiter) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    const row = (values) => values.map(quote).join(delimiter);
+    const rows = paymentInstructions(payments, dfspConf, windowId, opts)
+        .map((p) => row(cols.map((c) => c.value(p))));
+    return [...(header ? [row(cols.map((c) => c.header))] : []), ...rows]
+        .map((r) => `${r}${eol}`)
+        .join('');
+}
+
+module.exports = {
+    exportPaymentsCsv,
+    exportPaymentsJson,
+    paymentInstructions,
+};
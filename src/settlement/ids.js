@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { createRegistry } = require('./registry');
+
+/**
+ * Identifier generators for payment files. A generator is an object with the functions:
+ *
+ * msgId({ windowId, currencies })                       GrpHdr/MsgId
+ * pmtInfId({ windowId, payer, currency, index })        PmtInf/PmtInfId
+ * endToEndId({ windowId, payer, payee, currency, part })    CdtTrfTxInf/PmtId/EndToEndId
+ *
+ * each returning a string of at most 35 characters, as required by ISO 20022 Max35Text. part is
+ * undefined unless a payment is split into several transactions to respect the bank's maximum
+ * transaction amount, when it is the index of the transaction; end to end IDs must then differ by
+ * part.
+ */
+
+/**
+ * Random identifiers. These differ every time a file is generated.
+ *
+ * @returns {object}
+ */
+const randomIds = () => ({
+    // 1 / (64 ^ 35) chance of collision, or, for five settlements per week, MTBF of
+    // (((1 / (64 ^ 35)) / 2) / 5) weeks, or roughly 3.2e60 years. So probably not in our lifetimes.
+    // Additionally, the failure mode is rejection of the output file by Citibank, citing a
+    // duplicate message header id. Which can be overcome by regeneration of the file with a new ID.
+    // If you're reading this comment in the extremely distant future, I'm sorry.
+    msgId: () => crypto.randomBytes(27).toString('base64').substring(0, 35),
+    // TODO: Does PmtInfId need to be 'universally unique' or unique within the context of this
+    // PmtInf
+    pmtInfId: ({ index }) => index.toString(),
+    // TODO: Does PmtId need to be 'universally unique' or unique within the context of this
+    // CdtTrfTxInf
+    // EndToEndId cannot be zero as specified by Peter Kamperman of Citi
+    endToEndId: () => crypto.randomBytes(5).toString('hex'),
+});
+
+const digest = (...parts) => crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+
+/**
+ * Identifiers derived from the settlement window ID, currency and payer/payee accounts, so that a
+ * file regenerated from the same settlement carries the same identifiers. Note that banks reject
+ * a file whose MsgId they have already processed, which is the desired behaviour for a file that
+ * has been regenerated by mistake.
+ *
+ * @returns {object}
+ */
+const deterministicIds = () => ({
+    msgId: ({ windowId, currencies }) => digest('MsgId', windowId, currencies).substring(0, 35),
+    pmtInfId: ({ index }) => index.toString(),
+    // EndToEndId cannot be zero, see randomIds; a SHA-256 prefix of all zeroes is vanishingly rare
+    endToEndId: ({
+        windowId, payer, payee, currency, part,
+    }) => digest('EndToEndId', windowId, payer, payee, currency, ...(part === undefined ? [] : [part]))
+        .substring(0, 32),
+});
+
+const generators = createRegistry({
+    kind: 'ID generator',
+    plural: 'generators',
+}, {
+    random: randomIds,
+    deterministic: deterministicIds,
+});
+
+/**
+ * Returns a new generator of the named kind, 'random' or 'deterministic', or checks and returns a
+ * generator object.
+ *
+ * @returns {object}
+ */
+function idGenerator(ids = 'random') {
+    if (typeof ids === 'string') {
+        return generators.get(ids)();
+    }
+    ['msgId', 'pmtInfId', 'endToEndId'].forEach((fn) => {
+        if (typeof ids[fn] !== 'function') {
+            throw new Error(`ID generator must provide a ${fn} function`);
+        }
+    });
+    return ids;
+}
+
+module.exports = {
+    deterministicIds,
+    idGenerator,
+    randomIds,
+};
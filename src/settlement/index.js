@@ -5,8 +5,12 @@
 
 const util = require('./util');
 const api = require('./api');
+const orchestrator = require('./orchestrator');
+const errors = require('./errors');
 
 module.exports = {
     util,
-    api
+    api,
+    orchestrator,
+    errors
 };
@@ -0,0 +1,62 @@
+const path = require('path');
+
+/**
+ * The pain.001 message versions that format can produce, and the differences between them that
+ * format needs to know about.
+ *
+ * namespace       Document xmlns
+ * template        bundled template file
+ * schema          bundled XSD, used by validatePaymentFile
+ * agentBic        element holding the BIC of a debtor or creditor agent, FinInstnId/<agentBic>
+ * partyBic        element holding the BIC of a party, Id/OrgId/<partyBic>
+ * executionDate   builds ReqdExctnDt from an ISO date string
+ */
+const messageVersions = {
+    'pain.001.001.03': {
+        namespace: 'urn:iso:std:iso:20022:tech:xsd:pain.001.001.03',
+        template: path.resolve(__dirname, 'template_file.xml'),
+        schema: path.resolve(__dirname, 'xsd', 'pain.001.001.03.xsd'),
+        agentBic: 'BIC',
+        partyBic: 'BICOrBEI',
+        executionDate: (date) => ({ _text: date }),
+    },
+    'pain.001.001.09': {
+        namespace: 'urn:iso:std:iso:20022:tech:xsd:pain.001.001.09',
+        template: path.resolve(__dirname, 'template_file.pain.001.001.09.xml'),
+        schema: path.resolve(__dirname, 'xsd', 'pain.001.001.09.xsd'),
+        agentBic: 'BICFI',
+        partyBic: 'AnyBIC',
+        executionDate: (date) => ({ Dt: { _text: date } }),
+    },
+};
+
+const DEFAULT_MESSAGE_VERSION = 'pain.001.001.03';
+
+/**
+ * Returns the message version with the supplied name.
+ *
+ * @returns {object}
+ */
+function getMessageVersion(name) {
+    if (!Object.prototype.hasOwnProperty.call(messageVersions, name)) {
+        throw new Error(`Unsupported message version ${name}. Supported versions are: ${Object.keys(messageVersions).join(', ')}`);
+    }
+    return { name, ...messageVersions[name] };
+}
+
+/**
+ * Returns the message version whose namespace is the supplied namespace, or undefined.
+ *
+ * @returns {object}
+ */
+function messageVersionForNamespace(namespace) {
+    const name = Object.keys(messageVersions)
+        .find((v) => messageVersions[v].namespace === namespace);
+    return name === undefined ? undefined : getMessageVersion(name);
+}
+
+module.exports = {
+    DEFAULT_MESSAGE_VERSION,
+    getMessageVersion,
+    messageVersionForNamespace,
+};
@@ -0,0 +1,202 @@
+const Big = require('big.js');
+const { getMinorUnits, isSupported } = require('./currencies');
+const { bankAccount, bankAccountId, bankPayments } = require('./accounts');
+const { validateBic } = require('./bankIdentifiers');
+const { getBankProfile, remittanceText, splitAmount } = require('./bankProfiles');
+const { findCalendar, getCalendar, nextExecutionDate } = require('./calendars');
+
+/**
+ * Generates SWIFT MT101 request for transfer messages, for banks that do not accept pain.001.
+ * There is one message per payer per currency, like the PmtInf blocks of a pain.001 file, each with
+ * one transaction (sequence B) per payee. Each message stands alone, with its own sender's
+ * reference (field 20) and a message index (28D) of 1/1.
+ *
+ * Field contents are checked against the SWIFT X character set and the field formats, and amounts
+ * against the decimal places of the currency in the currency registry; rather than emit a message
+ * the bank would reject, an error listing every problem is thrown.
+ */
+
+const CRLF = '\r\n';
+
+// SWIFT X character set
+const SWIFT_CHARACTERS = /^[A-Za-z0-9/\-?:().,'+ ]*$/;
+
+// Field 71A details of charges for each pain.001 charge bearer code
+const CHARGES = {
+    DEBT: 'OUR',
+    CRED: 'BEN',
+    SHAR: 'SHA',
+    SLEV: 'SHA',
+};
+
+const defaultSenderReference = ({ windowId, currency, index }) => `${windowId}-${currency}-${index + 1}`;
+
+const defaultTransactionReference = ({ windowId, index, txIndex }) => `${windowId}-${index + 1}-${txIndex + 1}`;
+
+// The 12 character logical terminal address of a BIC, as used in the basic and application headers
+const logicalTerminal = (bic) => `${bic.substring(0, 8)}X${bic.length === 11 ? bic.substring(8) : 'XXX'}`;
+
+// Splits text into lines of at most the supplied length
+const wrap = (text, length) => (text.match(new RegExp(`.{1,${length}}`, 'g')) || ['']);
+
+/**
+ * Returns one MT101 message per payer per currency for the supplied payments: the output of
+ * minPaymentsAlgorithm, a single { currency, matrix } or an array of them. A payment above the
+ * maxTransactionAmount of the bank profile is split into several transactions, as in format.
+ *
+ * opts.bankProfile supplies the creditor agent BIC (field 57A), charge bearer (71A), account ID
+ * normalisation and remittance text (70), as it does for format. The requested execution date (30)
+ * is chosen from the creation time, opts.clock, default now, with opts.calendar and
+ * opts.executionOffset as in generatePaymentFile. opts.senderReference({ windowId, currency,
+ * payer, index }) and opts.transactionReference({ windowId, currency, payer, payee, index,
+ * txIndex }) give fields 20 and 21; the defaults are based on the window ID and position in the
+ * file.
+ *
+ * Messages consist of the text block only unless opts.sender, the BIC of the instructing party,
+ * is given, in which case basic and application header blocks are added; the receiver is
+ * opts.receiver, default the debtor agent BIC of the bank profile.
+ *
+ * @returns {array}
+ */
+function generateMT101(payments, dfspConf, windowId, opts = {}) {
+    const {
+        clock = () => new Date(),
+        executionOffset = 0,
+        senderReference = defaultSenderReference,
+        transactionReference = defaultTransactionReference,
+    } = opts;
+    const profile = getBankProfile(opts.bankProfile);
+    const receiver = opts.receiver || profile.debtorAgent.bic;
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+
+    // Checks and formats a field; lines is a list of [ text, maximum length ]
+    const field = (tag, lines, maxLines = lines.length) => {
+        if (lines.length > maxLines) {
+            fail(tag, `Field ${tag} has ${lines.length} lines, at most ${maxLines} are allowed`);
+        }
+        lines.forEach(([text, length]) => {
+            if (text.length > length) {
+                fail(tag, `Field ${tag} '${text}' is longer than ${length} characters`);
+            }
+            if (!SWIFT_CHARACTERS.test(text)) {
+                fail(tag, `Field ${tag} '${text}' contains characters outside the SWIFT character set`);
+            }
+        });
+        return `:${tag}:${lines.map(([text]) => text).join(CRLF)}`;
+    };
+
+    const reference = (tag, text) => {
+        if (text.startsWith('/') || text.endsWith('/') || text.includes('//')) {
+            fail(tag, `Field ${tag} '${text}' must not start or end with '/' or contain '//'`);
+        }
+        return field(tag, [[text, 16]]);
+    };
+
+    const bic = (tag, value) => {
+        if (!validateBic(value).valid) {
+            fail(tag, `Field ${tag} '${value}' is not a valid BIC`);
+        }
+        return field(tag, [[value, 11]]);
+    };
+
+    const amount = (currency, value) => {
+        if (!isSupported(currency)) {
+            fail('32B', `Unsupported currency ${currency}. Add it with registerCurrency or loadCurrencies.`);
+            return field('32B', [[`${currency}${value}`, 18]]);
+        }
+        const dp = getMinorUnits(currency);
+        const amt = Big(value);
+        if (!amt.round(dp).eq(amt)) {
+            fail('32B', `Amount ${value} has more than the ${dp} decimal places allowed for ${currency}`);
+        }
+        const [int, frac = ''] = amt.toFixed(dp).split('.');
+        return field('32B', [[`${currency}${int},${frac}`, 18]]);
+    };
+
+    // Account on the first line, name and country on the next
+    const party = (tag, account) => field(tag, [
+        [`/${bankAccountId(profile, account)}`, 35],
+        [account.name, 35],
+        ...(account.country === undefined ? [] : [[account.country, 35]]),
+    ]);
+
+    const charges = CHARGES[profile.chargeBearer];
+    if (charges === undefined) {
+        fail('71A', `Charge bearer ${profile.chargeBearer} has no MT101 equivalent`);
+    }
+
+    const now = clock();
+    const calendarFor = (currency) => (opts.calendar === undefined
+        ? findCalendar(currency, profile.debtorAgent.country) : getCalendar(opts.calendar));
+    const executionDate = (currency) => nextExecutionDate(
+        calendarFor(currency), now, executionOffset,
+    ).substring(2).replace(/-/g, '');
+
+    const payerPayments = bankPayments(profile, dfspConf, payments).reduce((pv, m) => [
+        ...pv,
+        ...Object.entries(m.matrix)
+            .filter(([, payees]) => Object.keys(payees).length > 0)
+            .map(([payer, payees]) => ({ payer, payees, currency: m.currency })),
+    ], []);
+
+    const messages = payerPayments.map(({ payer, payees, currency }, index) => {
+        const payerAccount = bankAccount(dfspConf, payer);
+        const sequenceA = [
+            reference('20', senderReference({
+                windowId, currency, payer, index,
+            })),
+            // Each message has its own sender's reference, so is a chain of one
+            field('28D', [['1/1', 5]]),
+            party('50H', payerAccount),
+            field('30', [[executionDate(currency), 6]]),
+        ];
+        // One transaction per payee, or several where the payment exceeds the bank's limit
+        const transactions = Object.entries(payees).reduce((pv, [payee, value]) => [
+            ...pv,
+            ...splitAmount(profile, currency, value).map((amt) => [payee, amt]),
+        ], []);
+        const sequenceB = transactions.map(([payee, value], txIndex) => {
+            const payeeAccount = bankAccount(dfspConf, payee);
+            const remittance = remittanceText(profile, {
+                windowId, currency, payerName: payerAccount.name, payeeName: payeeAccount.name,
+            });
+            return [
+                reference('21', transactionReference({
+                    windowId, currency, payer, payee, index, txIndex,
+                })),
+                amount(currency, value),
+                bic('57A', profile.creditorAgent.bic),
+                party('59', payeeAccount),
+                field('70', wrap(remittance, 35).map((line) => [line, 35]), 4),
+                field('71A', [[charges || '', 3]]),
+            ];
+        });
+        const text = [...sequenceA, ...sequenceB.reduce((pv, tx) => [...pv, ...tx], [])];
+        const headers = opts.sender === undefined ? ''
+            : `{1:F01${logicalTerminal(opts.sender)}0000000000}{2:I101${logicalTerminal(receiver)}N}`;
+        return `${headers}{4:${CRLF}${text.join(CRLF)}${CRLF}-}`;
+    });
+
+    if (opts.sender !== undefined) {
+        [['sender', opts.sender], ['receiver', receiver]].forEach(([name, value]) => {
+            if (!validateBic(value).valid) {
+                fail(name, `MT101 ${name} '${value}' is not a valid BIC`);
+            }
+        });
+    }
+
+    if (errors.length > 0) {
+        // Report each problem once, however many messages it appears in
+        const unique = errors
+            .filter((e, i) => errors.findIndex((o) => o.message === e.message) === i);
+        const err = new Error(`MT101 message failed validation: ${unique.map((e) => e.message).join('; ')}`);
+        err.errors = unique;
+        throw err;
+    }
+    return messages;
+}
+
+module.exports = {
+    generateMT101,
+};
@@ -0,0 +1,283 @@
+const fs = require('fs');
+const { ACCOUNT_STATES } = require('./api');
+const { generatePaymentFile } = require('./util');
+
+/**
+ * Settles a settlement window from start to finish with a SettlementsModel, one step at a time:
+ *
+ * CLOSE_WINDOW         closeSettlementWindow, unless the window is already closed
+ * CREATE_SETTLEMENT    createSettlement for the window, unless a settlement already includes it
+ * ADVANCE_ACCOUNTS     advanceSettlement until every account reaches the target state
+ * GENERATE_FILE        generatePaymentFile for the settlement
+ * POST_FILE            postSettlementFile
+ *
+ * After each step a checkpoint is saved. A run given the checkpoint of an earlier run that
+ * stopped, because a step failed or the process crashed, resumes from the first step that run did
+ * not complete, and reuses its settlement and payment file. A checkpoint store is an object with
+ * load() and save(checkpoint) methods, either of which may return a promise; see fileCheckpoint.
+ */
+
+const STEPS = [
+    'CLOSE_WINDOW',
+    'CREATE_SETTLEMENT',
+    'ADVANCE_ACCOUNTS',
+    'GENERATE_FILE',
+    'POST_FILE',
+];
+
+/**
+ * A checkpoint store keeping the checkpoint in the supplied JSON file. The file is replaced, not
+ * rewritten, so that a crash while saving leaves the previous checkpoint.
+ *
+ * @returns {object}
+ */
+function fileCheckpoint(file) {
+    return {
+        load: () => (fs.existsSync(file)
+            ? JSON.parse(fs.readFileSync(file).toString())
+            : undefined),
+        save: (checkpoint) => {
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(checkpoint, null, 2));
+            fs.renameSync(`${file}.tmp`, file);
+        },
+    };
+}
+
+/**
+ * A checkpoint store keeping the checkpoint in memory, for runs that need not survive a crash.
+ *
+ * @returns {object}
+ */
+function memoryCheckpoint() {
+    let checkpoint;
+    return {
+        load: () => checkpoint,
+        save: (cp) => { checkpoint = cp; },
+    };
+}
+
+const accountsBefore = (settlement, state) => settlement.participants.reduce(
+    (pv, p) => pv.concat(p.accounts
+        .filter((a) => ACCOUNT_STATES.indexOf(a.state) < ACCOUNT_STATES.indexOf(state))
+        .map((a) => ({ participantId: p.id, accountId: a.id }))),
+    [],
+);
+
+const steps = {
+    CLOSE_WINDOW: async ({ model, windowId, reason }) => {
+        const window = await model.getSettlementWindow(windowId);
+        if (window.state !== 'OPEN') {
+            return { skipped: true, detail: { state: window.state } };
+        }
+        await model.closeSettlementWindow(windowId, reason);
+        return { detail: { state: 'CLOSED' } };
+    },
+
+    CREATE_SETTLEMENT: async ({
+        model, windowId, reason, settlementModel,
+    }) => {
+        // Settlements are found by window alone, as a switch may leave out their settlement model.
+        // The model is then confirmed with getSettlement, and taken to match if still missing.
+        const matches = async (s) => {
+            if (settlementModel === undefined) {
+                return true;
+            }
+            const found = s.settlementModel === undefined
+                ? (await model.getSettlement(s.id)).settlementModel : s.settlementModel;
+            return found === undefined || found === settlementModel;
+        };
+        const candidates = (await model.getSettlements({ settlementWindowId: windowId }))
+            .filter((s) => s.state !== 'ABORTED');
+        let existing;
+        // eslint-disable-next-line no-restricted-syntax
+        for (const s of candidates) {
+            // eslint-disable-next-line no-await-in-loop
+            if (await matches(s)) {
+                existing = s;
+                break;
+            }
+        }
+        if (existing !== undefined) {
+            return {
+                skipped: true, settlementId: existing.id, detail: { settlementId: existing.id },
+            };
+        }
+        const settlement = await model.createSettlement(reason, [windowId], settlementModel);
+        return { settlementId: settlement.id, detail: { settlementId: settlement.id } };
+    },
+
+    ADVANCE_ACCOUNTS: async ({
+        model, checkpoint, reason, state,
+    }) => {
+        const transitions = [];
+        for (;;) {
+            // eslint-disable-next-line no-await-in-loop
+            const settlement = await model.getSettlement(checkpoint.settlementId);
+            const accounts = accountsBefore(settlement, state);
+            if (accounts.length === 0) {
+                return { skipped: transitions.length === 0, detail: { state, transitions } };
+            }
+            // eslint-disable-next-line no-await-in-loop
+            const result = await model.advanceSettlement(checkpoint.settlementId, {
+                reason, accounts,
+            });
+            transitions.push(result);
+            if (result.failed.length > 0) {
+                const err = new Error(`${result.failed.length} accounts of settlement ${checkpoint.settlementId} failed to move: ${result.failed.map((f) => f.message).join('; ')}`);
+                err.detail = { state, transitions };
+                throw err;
+            }
+        }
+    },
+
+    GENERATE_FILE: async ({
+        model, windowId, dfspConf, templateFile, checkpoint, paymentFileOpts,
+    }) => {
+        const settlement = await model.getSettlement(checkpoint.settlementId);
+        const paymentFile = generatePaymentFile(
+            windowId, settlement, dfspConf, templateFile, paymentFileOpts,
+        );
+        return { paymentFile };
+    },
+
+    POST_FILE: async ({
+        model, checkpoint, source, save,
+    }) => {
+        // one file, or one per currency with paymentFile.documentPerCurrency. Each file posted is
+        // recorded in the checkpoint at once, so that a resumed run doesn't post it again.
+        const files = typeof checkpoint.paymentFile === 'string'
+            ? { file: checkpoint.paymentFile } : checkpoint.paymentFile;
+        const { posted } = checkpoint;
+        const resumedFrom = posted.length;
+        await Object.entries(files).reduce((pv, [key, file]) => pv.then(async () => {
+            if (posted.includes(key)) {
+                return;
+            }
+            await model.postSettlementFile(checkpoint.settlementId, file, source);
+            posted.push(key);
+            await save();
+        }), Promise.resolve());
+        return { detail: { files: posted.length, alreadyPosted: resumedFrom } };
+    },
+};
+
+/**
+ * Runs the steps above for the supplied settlement window. Options:
+ *
+ * {
+ *     checkpoint,     a checkpoint store; default in memory, so that a run cannot be resumed
+ *     reason,         the reason given to the switch when closing, creating and advancing;
+ *                     default 'Settlement of window <windowId>'
+ *     state,          the state ADVANCE_ACCOUNTS moves every account to; default SETTLED
+ *     settlementModel,
+ *                     the name of the settlement model to settle the window under; default the
+ *                     switch's default model
+ *     templateFile,   passed to generatePaymentFile
+ *     paymentFile,    options passed to generatePaymentFile, e.g. { ids: 'deterministic' }
+ *     source,         passed to postSettlementFile
+ *     clock,          a function returning the current Date, for the times in the report
+ * }
+ *
+ * Returns a run report rather than throwing when a step fails:
+ *
+ * {
+ *     windowId, settlementId,
+ *     status,         COMPLETED or FAILED
+ *     resumed,        whether the run continued from an earlier run's checkpoint
+ *     steps: [{ step, status, startedAt, finishedAt, detail, error }],
+ *                     status DONE, SKIPPED (nothing to do, or done by an earlier run), FAILED
+ *     paymentFile,
+ * }
+ *
+ * @returns {object}
+ */
+async function settleWindow(model, windowId, dfspConf, opts = {}) {
+    const {
+        checkpoint: store = memoryCheckpoint(),
+        reason = `Settlement of window ${windowId}`,
+        state = 'SETTLED',
+        settlementModel,
+        templateFile,
+        paymentFile: paymentFileOpts,
+        source,
+        clock = () => new Date(),
+    } = opts;
+    if (!ACCOUNT_STATES.slice(1).includes(state)) {
+        throw new Error(`settleWindow: state must be one of ${ACCOUNT_STATES.slice(1).join(', ')}, not ${state}`);
+    }
+
+    const saved = await store.load();
+    if (saved !== undefined && saved.windowId !== windowId) {
+        throw new Error(`settleWindow: checkpoint is for settlement window ${saved.windowId}, not ${windowId}`);
+    }
+    if (saved !== undefined && saved.settlementModel !== settlementModel) {
+        const modelName = (name) => (name === undefined ? 'the default settlement model' : `settlement model ${name}`);
+        throw new Error(`settleWindow: checkpoint is for ${modelName(saved.settlementModel)}, not ${modelName(settlementModel)}`);
+    }
+    const checkpoint = { posted: [], ...(saved || { windowId, settlementModel, completed: [] }) };
+    const report = {
+        windowId, status: 'COMPLETED', resumed: saved !== undefined, steps: [],
+    };
+
+    const context = {
+        model,
+        windowId,
+        dfspConf,
+        templateFile,
+        paymentFileOpts,
+        source,
+        reason,
+        state,
+        settlementModel,
+        checkpoint,
+        save: () => store.save(checkpoint),
+    };
+    // eslint-disable-next-line no-restricted-syntax
+    for (const step of STEPS) {
+        const startedAt = clock().toISOString();
+        if (checkpoint.completed.includes(step)) {
+            report.steps.push({
+                step, status: 'SKIPPED', startedAt, finishedAt: startedAt, detail: { resumed: true },
+            });
+        } else {
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                const result = await steps[step](context);
+                ['settlementId', 'paymentFile']
+                    .filter((k) => result[k] !== undefined)
+                    .forEach((k) => { checkpoint[k] = result[k]; });
+                checkpoint.completed.push(step);
+                // eslint-disable-next-line no-await-in-loop
+                await store.save(checkpoint);
+                report.steps.push({
+                    step,
+                    status: result.skipped ? 'SKIPPED' : 'DONE',
+                    startedAt,
+                    finishedAt: clock().toISOString(),
+                    detail: result.detail,
+                });
+            } catch (err) {
+                report.steps.push({
+                    step,
+                    status: 'FAILED',
+                    startedAt,
+                    finishedAt: clock().toISOString(),
+                    detail: err.detail,
+                    error: err.message,
+                });
+                report.status = 'FAILED';
+                break;
+            }
+        }
+    }
+    report.settlementId = checkpoint.settlementId;
+    report.paymentFile = checkpoint.paymentFile;
+    return report;
+}
+
+module.exports = {
+    STEPS,
+    fileCheckpoint,
+    memoryCheckpoint,
+    settleWindow,
+};
@@ -0,0 +1,150 @@
+/* eslint-disable no-underscore-dangle */
+const Big = require('big.js');
+const { xml2js } = require('xml-js');
+const {
+    accountKey, bankAccountId, configuredBankAccounts, parseAccountKey,
+} = require('./accounts');
+const { asArray, accountId, text } = require('./compact');
+const { getBankProfile, normaliseAccountId } = require('./bankProfiles');
+const { messageVersionForNamespace } = require('./messageVersions');
+
+/**
+ * Reads pain.001 payment files, such as those produced by format, back into payment matrices.
+ *
+ * A payment file identifies payers and payees by name and bank account only, so they are mapped
+ * back to matrix keys through the DFSP config: a bank account configured for a single ledger
+ * account gives that ledger account's key, e.g. '12:345', and a bank account configured for the
+ * participant as a whole gives the participant ID, e.g. '12'. dfspAccountKey gives the key a
+ * ledger account of a payment matrix will be read back as.
+ */
+
+/**
+ * Returns the key that the supplied ledger account key is read back as from a payment file.
+ *
+ * @returns {string}
+ */
+function dfspAccountKey(dfspConf, key) {
+    const { participantId, accountId: ledgerAccountId } = parseAccountKey(key);
+    const { accounts = {} } = dfspConf[participantId] || {};
+    const account = accounts[ledgerAccountId];
+    return account !== undefined && (account.accountId !== undefined || account.iban !== undefined)
+        ? accountKey(participantId, ledgerAccountId) : participantId;
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Builds a regular expression from a remittance text pattern that captures the window ID
+const remittancePattern = (pattern) => new RegExp(`^${pattern
+    .split(/(\{\w+\})/)
+    .map((part) => {
+        if (part === '{windowId}') {
+            return '(.+?)';
+        }
+        return /^\{\w+\}$/.test(part) ? '.*?' : escapeRegExp(part);
+    })
+    .join('')}$`);
+
+/**
+ * Parses a pain.001 document, the XML string or the document returned by format, returning:
+ *
+ * {
+ *     currency,
+ *     matrix,                 keyed by payer then payee, amounts as strings
+ *     windowId,               read from the remittance text, or undefined
+ *     msgId,
+ *     ctrlSum,                string
+ * }
+ *
+ * A document with payments in several currencies must be read one currency at a time by passing
+ * opts.currency; ctrlSum is then the sum of the payments in that currency rather than the file's
+ * GrpHdr/CtrlSum. opts.bankProfile should be the profile the file was produced with; it is used to
+ * normalise account IDs and to find the window ID in the remittance text.
+ *
+ * @returns {object}
+ */
+function parsePaymentFile(paymentFile, dfspConf, opts = {}) {
+    const doc = typeof paymentFile === 'string' ? xml2js(paymentFile, { compact: true }) : paymentFile;
+    const document = doc.Document;
+    if (document === undefined || document.CstmrCdtTrfInitn === undefined
+        || messageVersionForNamespace((document._attributes || {}).xmlns) === undefined) {
+        throw new Error('Payment file is not a supported pain.001 document');
+    }
+    const profile = getBankProfile(opts.bankProfile);
+    const normalise = (id) => normaliseAccountId(profile, id);
+    const { GrpHdr, PmtInf } = document.CstmrCdtTrfInitn;
+
+    // Every bank account in the DFSP config, with the key it maps back to
+    const candidates = configuredBankAccounts(dfspConf)
+        .map((a) => ({ ...a, account: bankAccountId(profile, a) }));
+    const resolve = (nm, acct) => {
+        const name = text(nm);
+        const account = accountId(acct);
+        const byAccount = candidates.filter((c) => account !== undefined
+            && c.account === normalise(account));
+        const named = byAccount.filter((c) => dfspConf[c.participantId].name === name);
+        if (byAccount.length === 1 || named.length === 1) {
+            return (named.length === 1 ? named : byAccount)[0].key;
+        }
+        const byName = Object.keys(dfspConf).filter((id) => dfspConf[id].name === name);
+        if (byAccount.length === 0 && byName.length === 1) {
+            return byName[0];
+        }
+        throw new Error(`Couldn't find a single DFSP for account ${account} of ${name} in DFSP config`);
+    };
+
+    const pattern = remittancePattern(profile.remittanceText);
+    const payments = asArray(PmtInf).reduce((pv, pmtInf) => [
+        ...pv,
+        ...asArray(pmtInf.CdtTrfTxInf).map((tx) => {
+            const remittance = (text(asArray(tx.RmtInf && tx.RmtInf.Ustrd)[0]) || '').match(pattern);
+            return {
+                payer: resolve(pmtInf.Dbtr.Nm, pmtInf.DbtrAcct),
+                payee: resolve(tx.Cdtr.Nm, tx.CdtrAcct),
+                currency: tx.Amt.InstdAmt._attributes.Ccy,
+                amount: Big(text(tx.Amt.InstdAmt)).toString(),
+                windowId: remittance === null ? undefined : remittance[1],
+            };
+        }),
+    ], []);
+
+    const fileCurrencies = [...new Set(payments.map((p) => p.currency))];
+    if (opts.currency === undefined && fileCurrencies.length > 1) {
+        throw new Error(`Payment file contains payments in several currencies (${fileCurrencies.join(', ')}); choose one with opts.currency`);
+    }
+    const currency = opts.currency || fileCurrencies[0];
+    const selected = payments.filter((p) => p.currency === currency);
+
+    const windowIds = [...new Set(selected.map((p) => p.windowId))];
+    if (windowIds.length > 1) {
+        throw new Error(`Payment file contains payments for several settlement windows (${windowIds.join(', ')})`);
+    }
+
+    // A payment split into several transactions, see splitAmount, is read back as their sum
+    const matrix = selected.reduce((pv, { payer, payee, amount }) => {
+        const previous = (pv[payer] || {})[payee];
+        return {
+            ...pv,
+            [payer]: {
+                ...pv[payer],
+                [payee]: previous === undefined ? amount : Big(previous).plus(amount).toString(),
+            },
+        };
+    }, {});
+
+    const ctrlSum = fileCurrencies.length === 1 && text(GrpHdr.CtrlSum) !== undefined
+        ? Big(text(GrpHdr.CtrlSum)).toString()
+        : selected.reduce((pv, p) => pv.plus(p.amount), Big(0)).toString();
+
+    return {
+        currency,
+        matrix,
+        windowId: windowIds[0],
+        msgId: text(GrpHdr.MsgId),
+        ctrlSum,
+    };
+}
+
+module.exports = {
+    dfspAccountKey,
+    parsePaymentFile,
+};
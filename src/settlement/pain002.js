@@ -0,0 +1,77 @@
+/* eslint-disable no-underscore-dangle */
+const { xml2js } = require('xml-js');
+const {
+    asArray, at, text,
+} = require('./compact');
+
+/**
+ * Parses pain.002 customer payment status reports, any pain.002.001.xx version. The result is:
+ *
+ * {
+ *     msgId,                  GrpHdr/MsgId of the report
+ *     createdAt,
+ *     originalMsgId,          MsgId of the pain.001 the report answers
+ *     groupStatus,            e.g. 'ACCP', 'PART', 'RJCT', or undefined
+ *     groupReasons,
+ *     paymentInformation: [
+ *         {
+ *             pmtInfId, status, reasons,
+ *             transactions: [ { endToEndId, instrId, status, reasons, amount, currency } ]
+ *         }
+ *     ]
+ * }
+ *
+ * where reasons is a list of { code, info }, code being the ISO reason code, e.g. 'AC04', or a
+ * proprietary reason, and info the additional information lines joined with a space.
+ */
+
+const reasons = (node) => asArray(at(node, 'StsRsnInf')).map((r) => {
+    const info = asArray(r.AddtlInf).map(text);
+    return {
+        code: text(at(r, 'Rsn', 'Cd')) || text(at(r, 'Rsn', 'Prtry')),
+        info: info.length > 0 ? info.join(' ') : undefined,
+    };
+});
+
+const transaction = (tx) => {
+    const amt = at(tx, 'OrgnlTxRef', 'Amt', 'InstdAmt');
+    return {
+        endToEndId: text(tx.OrgnlEndToEndId),
+        instrId: text(tx.OrgnlInstrId),
+        status: text(tx.TxSts),
+        reasons: reasons(tx),
+        amount: text(amt),
+        currency: amt === undefined ? undefined : amt._attributes.Ccy,
+    };
+};
+
+/**
+ * Parses a pain.002 message.
+ *
+ * @returns {object}
+ */
+function parseStatusReport(xml) {
+    const { Document } = xml2js(xml, { compact: true });
+    const report = Document === undefined ? undefined : Document.CstmrPmtStsRpt;
+    if (report === undefined) {
+        throw new Error('Status report is not a pain.002 document');
+    }
+    const group = report.OrgnlGrpInfAndSts;
+    return {
+        msgId: text(at(report, 'GrpHdr', 'MsgId')),
+        createdAt: text(at(report, 'GrpHdr', 'CreDtTm')),
+        originalMsgId: text(at(group, 'OrgnlMsgId')),
+        groupStatus: text(at(group, 'GrpSts')),
+        groupReasons: reasons(group),
+        paymentInformation: asArray(report.OrgnlPmtInfAndSts).map((pmtInf) => ({
+            pmtInfId: text(pmtInf.OrgnlPmtInfId),
+            status: text(pmtInf.PmtInfSts),
+            reasons: reasons(pmtInf),
+            transactions: asArray(pmtInf.TxInfAndSts).map(transaction),
+        })),
+    };
+}
+
+module.exports = {
+    parseStatusReport,
+};
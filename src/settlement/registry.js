@@ -0,0 +1,56 @@
+const fs = require('fs');
+
+/**
+ * A registry of named settings, such as bank profiles or calendars. Registering a name that is
+ * already taken replaces its value. kind and plural name the settings in error messages, e.g.
+ * 'bank profile' and 'profiles'; validate(value, name) throws if a value is malformed.
+ *
+ * @returns {object}
+ */
+function createRegistry({ kind, plural, validate = () => {} }, values = {}) {
+    const has = (name) => Object.prototype.hasOwnProperty.call(values, name);
+
+    const register = (name, value) => {
+        validate(value, name);
+        // eslint-disable-next-line no-param-reassign
+        values[name] = value;
+    };
+
+    const get = (name) => {
+        if (!has(name)) {
+            throw new Error(`Unknown ${kind} ${name}. Available ${plural} are: ${Object.keys(values).join(', ')}`);
+        }
+        return values[name];
+    };
+
+    // An option naming a registered setting, or giving one in full
+    const resolve = (option) => {
+        if (typeof option === 'string') {
+            return get(option);
+        }
+        validate(option);
+        return option;
+    };
+
+    // Registers every setting in a JSON file keyed by name, or none unless all are valid
+    const load = (file) => {
+        const loaded = JSON.parse(fs.readFileSync(file).toString());
+        Object.entries(loaded).forEach(([name, value]) => validate(value, name));
+        Object.entries(loaded).forEach(([name, value]) => register(name, value));
+        return Object.keys(loaded);
+    };
+
+    return {
+        values,
+        has,
+        register,
+        get,
+        resolve,
+        load,
+        names: () => Object.keys(values),
+    };
+}
+
+module.exports = {
+    createRegistry,
+};
@@ -0,0 +1,184 @@
+const Big = require('big.js');
+const { createRegistry } = require('./registry');
+
+/**
+ * Settlement netting strategies. A strategy receives the debtor and creditor accounts of a single
+ * currency and returns a payments matrix keyed by payer account then payee account, with amounts
+ * as strings.
+ *
+ * Debtors have positive amounts and creditors negative or zero amounts. Each is an array of
+ * { id, amount } where amount is a Big, sorted in ascending order of amount. Strategies may modify
+ * the supplied accounts.
+ *
+ * A strategy that routes payments through an account of its own, such as the hub, declares it with
+ * a hubAccount(opts) function property returning that account's key.
+ *
+ * Results are checked by verifyPaymentMatrix before a payment file is generated.
+ */
+
+/**
+ * Pairs the largest remaining debtor with the smallest remaining creditor until everyone is
+ * settled. Produces at most (debtors + creditors - 1) payments.
+ *
+ * @returns {object}
+ */
+function greedy(debtors, creditors) {
+    const matrix = debtors.reduce((o, d) => ({ [d.id]: {}, ...o }), {});
+    while (creditors.length > 0) {
+        const creditor = creditors.pop();
+        // If there are unpaid creditors and the smallest remaining balance is less than or equal
+        // to the remaining amount payable by our current debtor
+        while (debtors.length > 0
+            && creditor.amount.plus(debtors[debtors.length - 1].amount).lte(0)) {
+            const exhaustedDebtor = debtors.pop();
+            matrix[exhaustedDebtor.id][creditor.id] = exhaustedDebtor.amount.toString();
+            creditor.amount = creditor.amount.plus(exhaustedDebtor.amount);
+        }
+        // If we haven't fully paid our creditor, take some money from the next debtor
+        if (creditor.amount.lt(0)) {
+            const partiallyExhaustedDebtor = debtors[debtors.length - 1];
+            matrix[partiallyExhaustedDebtor.id][creditor.id] = creditor.amount.times(-1).toString();
+            partiallyExhaustedDebtor.amount = partiallyExhaustedDebtor.amount.plus(creditor.amount);
+        }
+    }
+
+    if (debtors.length > 0) {
+        throw new Error('Failed to balance payments');
+    }
+
+    return matrix;
+}
+
+/* eslint-disable no-bitwise */
+/**
+ * Finds a payments matrix with the minimum possible number of payments. A group of k accounts whose
+ * amounts sum to zero can always be settled with k - 1 payments, so the minimum number of payments
+ * is the number of accounts less the maximum number of disjoint zero-sum groups they can be split
+ * into. The groups are found by dynamic programming over every subset of accounts, then each group
+ * is settled with the greedy strategy.
+ *
+ * The search is exponential in the number of accounts; opts.maxAccounts (default 16) limits the
+ * number of non-zero accounts accepted.
+ *
+ * @returns {object}
+ */
+function exact(debtors, creditors, { maxAccounts = 16 } = {}) {
+    const accounts = [...debtors, ...creditors].filter((a) => !a.amount.eq(0));
+    const n = accounts.length;
+    if (n > maxAccounts) {
+        throw new Error(`Exact settlement strategy supports at most ${maxAccounts} accounts per currency, settlement has ${n}`);
+    }
+
+    // zero[mask] is true when the accounts in mask sum to zero. groups[mask] is the maximum number
+    // of zero-sum groups the accounts in mask can be split into when they are added one at a time;
+    // last[mask] records the account added last to achieve it.
+    const size = 2 ** n;
+    const sums = new Array(size);
+    const zero = new Array(size);
+    const groups = new Array(size).fill(0);
+    const last = new Array(size).fill(-1);
+    sums[0] = Big(0);
+    for (let mask = 1; mask < size; mask += 1) {
+        const lowest = Math.log2(mask & -mask);
+        sums[mask] = sums[mask ^ (2 ** lowest)].plus(accounts[lowest].amount);
+        zero[mask] = sums[mask].eq(0);
+        for (let i = 0; i < n; i += 1) {
+            const bit = 2 ** i;
+            if ((mask & bit) && (last[mask] === -1 || groups[mask ^ bit] > groups[mask])) {
+                groups[mask] = groups[mask ^ bit];
+                last[mask] = i;
+            }
+        }
+        groups[mask] += zero[mask] ? 1 : 0;
+    }
+
+    // Walk back from the full set; every zero-sum subset on the way closes a group
+    const partition = [];
+    let current = [];
+    for (let mask = size - 1; mask > 0; mask ^= 2 ** last[mask]) {
+        if (zero[mask] && current.length > 0) {
+            partition.push(current);
+            current = [];
+        }
+        current.push(accounts[last[mask]]);
+    }
+    partition.push(current);
+
+    const byAmount = (a, b) => a.amount.cmp(b.amount);
+    return partition
+        .filter((group) => group.length > 0)
+        .reduce((matrix, group) => ({
+            ...matrix,
+            ...greedy(
+                group.filter((a) => a.amount.gt(0)).sort(byAmount),
+                group.filter((a) => a.amount.lt(0)).sort(byAmount),
+            ),
+        }), {});
+}
+/* eslint-enable no-bitwise */
+
+/**
+ * Settles through a hub account: every debtor pays the hub and the hub pays every creditor. The
+ * hub account key is given by opts.hubAccount and defaults to 'hub'; it must be present in the
+ * DFSP config used to format the payments.
+ *
+ * @returns {object}
+ */
+function hub(debtors, creditors, opts) {
+    const hubAccount = hub.hubAccount(opts);
+    const accounts = [...debtors, ...creditors];
+    if (accounts.some((a) => a.id === hubAccount)) {
+        throw new Error(`Hub account ${hubAccount} cannot also be a participant account in the settlement`);
+    }
+    const payees = creditors
+        .filter((c) => c.amount.lt(0))
+        .reduce((pv, c) => ({ ...pv, [c.id]: c.amount.times(-1).toString() }), {});
+    return debtors.reduce((matrix, d) => ({
+        ...matrix,
+        [d.id]: { [hubAccount]: d.amount.toString() },
+    }), Object.keys(payees).length > 0 ? { [hubAccount]: payees } : {});
+}
+
+hub.hubAccount = ({ hubAccount = 'hub' } = {}) => hubAccount;
+
+const registry = createRegistry({
+    kind: 'settlement strategy',
+    plural: 'strategies',
+    validate: (strategy, name) => {
+        if (typeof strategy !== 'function') {
+            throw new Error(`Settlement strategy ${name} must be a function`);
+        }
+    },
+}, { greedy, exact, hub });
+
+/**
+ * Registers a settlement netting strategy under the supplied name.
+ */
+function registerStrategy(name, strategy) {
+    registry.register(name, strategy);
+}
+
+/**
+ * Returns the settlement netting strategy registered under the supplied name.
+ *
+ * @returns {function}
+ */
+function getStrategy(name) {
+    return registry.get(name);
+}
+
+/**
+ * Returns the names of all registered strategies.
+ *
+ * @returns {array}
+ */
+function listStrategies() {
+    return registry.names();
+}
+
+module.exports = {
+    DEFAULT_STRATEGY: 'greedy',
+    getStrategy,
+    listStrategies,
+    registerStrategy,
+};
@@ -4,26 +4,251 @@
 'use strict';
 
 const Big = require('big.js');
-const crypto = require('crypto');
 const util = require('util');
-const currencies = require('./currencies.json');
 const fs = require('fs');
 const { xml2js, js2xml } = require('xml-js'); // converts between xml, pojo, json
-const path = require('path');
+const { DEFAULT_STRATEGY, getStrategy, listStrategies, registerStrategy } = require('./strategies');
+const { idGenerator, deterministicIds, randomIds } = require('./ids');
+const { bankProfiles, getBankProfile, normaliseAccountId, registerBankProfile, remittanceText, splitAmount } = require('./bankProfiles');
+const { DEFAULT_MESSAGE_VERSION, getMessageVersion, messageVersionForNamespace } = require('./messageVersions');
+const xsd = require('./xsd');
+const { parseStatement } = require('./camt');
+const { parseStatusReport } = require('./pain002');
+const compact = require('./compact');
+const { accountKey, bankAccount, bankAccountId, bankPayments, configuredBankAccounts, currencyPayments, parseAccountKey } = require('./accounts');
+const { exportPaymentsCsv, exportPaymentsJson, paymentInstructions } = require('./exporters');
+const { generateMT101 } = require('./mt101');
+const { dfspAccountKey, parsePaymentFile } = require('./pain001');
+const { validateDfspConf } = require('./dfspConf');
+const { validateBic, validateIban } = require('./bankIdentifiers');
+const { currencies, formatAmount, getCurrency, getMinorUnits, isSupported, loadCurrencies, normaliseAmount, registerCurrency, roundAmount } = require('./currencies');
+const { calendars, findCalendar, getCalendar, isBusinessDay, loadCalendars, nextExecutionDate, registerCalendar } = require('./calendars');
 
 module.exports = {
     minPaymentsAlgorithm,
     format,
     currencies,
-    generatePaymentFile
+    registerCurrency,
+    loadCurrencies,
+    isSupported,
+    getMinorUnits,
+    roundAmount,
+    formatAmount,
+    normaliseAmount,
+    generatePaymentFile,
+    generateAggregatePaymentFile,
+    aggregateSettlements,
+    validatePaymentFile,
+    parseStatement,
+    reconcileStatement,
+    parseStatusReport,
+    correlateStatusReport,
+    paymentInstructions,
+    exportPaymentsCsv,
+    exportPaymentsJson,
+    generateMT101,
+    parsePaymentFile,
+    comparePaymentFile,
+    validateDfspConf,
+    validateIban,
+    validateBic,
+    verifyPaymentMatrix,
+    compareStrategies,
+    deterministicIds,
+    randomIds,
+    bankProfiles,
+    registerBankProfile,
+    listStrategies,
+    registerStrategy,
+    calendars,
+    registerCalendar,
+    loadCalendars,
+    isBusinessDay,
+    nextExecutionDate,
+    accountKey,
+    parseAccountKey
 };
 
-function generatePaymentFile(settlementWindowId, input, dfspConf, templateFile = path.resolve(__dirname, 'template_file.xml')) {
-    const template = xml2js(
-        fs.readFileSync(templateFile).toString(),
-        { compact: true });
-    const raw = minPaymentsAlgorithm(input);
-    return js2xml(format(raw, dfspConf, template, settlementWindowId), { compact: true, spaces: 2 });
+/**
+ * Runs the minimum payments algorithm over the supplied settlement and formats the result as a
+ * pain.001 payment file. Settlements containing more than one currency produce one PmtInf block
+ * per payer per currency in a single document, or, when opts.documentPerCurrency is set, one
+ * document per currency keyed by currency code. settlementWindowId may be a list of window IDs for a
+ * settlement netting several windows, see generateAggregatePaymentFile.
+ *
+ * opts.messageVersion is the pain.001 version to produce, 'pain.001.001.03' (the default) or
+ * 'pain.001.001.09'. The bundled template for that version is used unless templateFile is given.
+ *
+ * opts.algorithm is passed to minPaymentsAlgorithm, e.g. { strategy: 'exact' }.
+ *
+ * opts.ids, opts.clock and opts.bankProfile are passed to format. With opts.ids 'deterministic' and no clock, the
+ * settlement createdDate is used as the file creation time so that a file regenerated from the same
+ * settlement is byte-identical.
+ *
+ * ReqdExctnDt is the next business day of the settlement currency on or after the creation date,
+ * or with opts.executionOffset N, the Nth business day after it. The calendar is opts.calendar, a
+ * calendar or the name of a registered one, if given; otherwise the calendar registered for the
+ * currency, then for the debtor agent country of the bank profile, then a Saturday and Sunday
+ * weekend. See calendars.js.
+ *
+ * Unless opts.verify is false, the payment matrix is checked with verifyPaymentMatrix and an error
+ * carrying the verification report is thrown instead of emitting a file that would not settle the
+ * input.
+ *
+ * When opts.validate is set, each document is also checked against the bundled XSD with
+ * validatePaymentFile and an error carrying the violations is thrown if it is not schema-valid.
+ *
+ * @returns {string|object}
+ */
+function generatePaymentFile(settlementWindowId, input, dfspConf, templateFile, opts = {}) {
+    const { documentPerCurrency = false, verify = true, validate = false, algorithm = {}, ids, messageVersion = DEFAULT_MESSAGE_VERSION } = opts;
+    const clock = opts.clock || (ids === 'deterministic' ? settlementClock(input) : undefined);
+    const { executionOffset = 0 } = opts;
+    const calendarFor = currency => opts.calendar === undefined
+        ? findCalendar(currency, getBankProfile(opts.bankProfile).debtorAgent.country) : getCalendar(opts.calendar);
+    const executionDate = ({ currency, now }) => nextExecutionDate(calendarFor(currency), now, executionOffset);
+    const formatOpts = { ids, clock, bankProfile: opts.bankProfile, messageVersion, executionDate };
+    const templateXml = fs.readFileSync(templateFile || getMessageVersion(messageVersion).template).toString();
+    const readTemplate = () => xml2js(templateXml, { compact: true });
+    const result = minPaymentsAlgorithm(input, algorithm);
+    if (verify) {
+        const report = verifyPaymentMatrix(input, result);
+        if (!report.valid) {
+            const err = new Error(`Payment matrix failed verification: ${report.errors.map(e => e.message).join('; ')}`);
+            err.report = report;
+            throw err;
+        }
+    }
+    const raw = Object.values(result);
+    const toXml = payments => {
+        const xml = js2xml(format(payments, dfspConf, readTemplate(), settlementWindowId, formatOpts), { compact: true, spaces: 2 });
+        if (validate) {
+            const violations = validatePaymentFile(xml, messageVersion);
+            if (violations.length > 0) {
+                const err = new Error(`Payment file failed schema validation: ${violations.map(v => `${v.path}: ${v.message}`).join('; ')}`);
+                err.violations = violations;
+                throw err;
+            }
+        }
+        return xml;
+    };
+    if (documentPerCurrency) {
+        return raw.reduce((docs, payments) => ({
+            ...docs,
+            [payments.currency]: toXml(payments)
+        }), {});
+    }
+    return toXml(raw);
+}
+
+// Compiled schemas, loaded on first use
+const schemas = {};
+
+/**
+ * Validates a pain.001 payment file against the bundled ISO 20022 XSD for the supplied message
+ * version, 'pain.001.001.03' (the default) or 'pain.001.001.09'. No network access is required.
+ *
+ * Returns a list of violations, empty when the file is valid. Each violation has the form
+ * { path, message } where path is an XPath to the offending element, for example:
+ *
+ * {
+ *     path: '/Document/CstmrCdtTrfInitn/PmtInf[2]/CdtTrfTxInf/Amt/InstdAmt',
+ *     message: "'-5' must be at least 0 (ActiveOrHistoricCurrencyAndAmount_SimpleType)"
+ * }
+ *
+ * @returns {array}
+ */
+function validatePaymentFile(xml, version = DEFAULT_MESSAGE_VERSION) {
+    const { name, schema } = getMessageVersion(version);
+    if (schemas[name] === undefined) {
+        schemas[name] = xsd.loadSchema(schema);
+    }
+    return xsd.validate(schemas[name], xml);
+}
+
+/**
+ * Runs the minimum payments algorithm once over several settlements, e.g. those of the settlement
+ * windows closed over a weekend, and formats the result as a single pain.001 payment file. The
+ * settlements are netted with aggregateSettlements and the remittance text lists the IDs of every
+ * settlement window included. Options are as for generatePaymentFile.
+ *
+ * @returns {string|object}
+ */
+function generateAggregatePaymentFile(settlements, dfspConf, templateFile, opts = {}) {
+    const input = aggregateSettlements(settlements);
+    return generatePaymentFile(input.settlementWindows.map(w => w.id), input, dfspConf, templateFile, opts);
+}
+
+/**
+ * Nets several settlements, as returned by SettlementsModel.getSettlement, into one multilateral
+ * position per participant account, in the form taken by minPaymentsAlgorithm. The net
+ * settlement amounts of each account are summed across the settlements and settlementWindows
+ * lists the windows of every settlement. The result also carries settlementIds, and createdDate
+ * is that of the latest settlement. Throws if a settlement or settlement window appears more than
+ * once, as it would be paid twice, or if an account has different currencies in different
+ * settlements.
+ *
+ * @returns {object}
+ */
+function aggregateSettlements(settlements) {
+    if (settlements.length === 0) {
+        throw new Error('No settlements to aggregate');
+    }
+    const once = (values, message) => values.forEach((v, i) => {
+        if (values.indexOf(v) !== i) {
+            throw new Error(message(v));
+        }
+    });
+    once(settlements.map(s => String(s.id)), id => `Settlement ${id} is included more than once`);
+    const settlementWindows = settlements.reduce((pv, s) => [ ...pv, ...(s.settlementWindows || []) ], []);
+    once(settlementWindows.map(w => String(w.id)), id => `Settlement window ${id} is in more than one settlement`);
+
+    // Sum the net settlement amount of each participant account, keeping the order of first appearance
+    const participants = settlements.reduce((pv, s) => s.participants.reduce((pv2, p) => {
+        const existing = pv2.find(q => String(q.id) === String(p.id));
+        const accounts = p.accounts.reduce((accts, a) => {
+            const prev = accts.find(b => String(b.id) === String(a.id));
+            if (prev === undefined) {
+                return [ ...accts, { ...a, netSettlementAmount: { ...a.netSettlementAmount } } ];
+            }
+            if (prev.netSettlementAmount.currency !== a.netSettlementAmount.currency) {
+                throw new Error(`Account ${a.id} of participant ${p.id} is in ${prev.netSettlementAmount.currency} and ${a.netSettlementAmount.currency} in different settlements`);
+            }
+            return accts.map(b => b !== prev ? b : {
+                ...b,
+                netSettlementAmount: {
+                    ...b.netSettlementAmount,
+                    amount: Big(b.netSettlementAmount.amount).plus(a.netSettlementAmount.amount).toString()
+                }
+            });
+        }, existing === undefined ? [] : existing.accounts);
+        return existing === undefined
+            ? [ ...pv2, { ...p, accounts } ]
+            : pv2.map(q => q === existing ? { ...q, accounts } : q);
+    }, pv), []);
+
+    const createdDates = settlements.map(s => s.createdDate).filter(d => d !== undefined);
+    return {
+        settlementIds: settlements.map(s => s.id),
+        settlementWindows,
+        participants,
+        ...(createdDates.length === 0 ? {} : {
+            createdDate: createdDates.reduce((latest, d) => new Date(d) > new Date(latest) ? d : latest)
+        })
+    };
+}
+
+/**
+ * A clock fixed at the creation time of the supplied settlement.
+ *
+ * @returns {function}
+ */
+function settlementClock(input) {
+    if (input.createdDate === undefined) {
+        throw new Error('Deterministic payment files require either a clock or a settlement with a createdDate');
+    }
+    const createdDate = new Date(input.createdDate);
+    return () => createdDate;
 }
 
 /**
@@ -31,9 +256,32 @@ function generatePaymentFile(settlementWindowId, input, dfspConf, templateFile =
  * creditors. Input format is the output of /settlements/${id}. There is a test input generator in
  * test support.
  *
+ * Each participant settlement account is netted separately. Accounts are grouped by currency and
+ * a separate payments matrix is computed for each currency. The result is keyed by currency code,
+ * for example:
+ * { XOF: { currency: 'XOF', matrix }, USD: { currency: 'USD', matrix } }
+ * Matrices are keyed by payer account then payee account, see accountKey, for example:
+ * { '1:10': { '2:20': '100' } }
+ *
+ * opts.strategy names the netting strategy used to build each matrix, see strategies.js. The
+ * default is the greedy largest-first pairing. Other options are passed through to the strategy.
+ * A strategy that declares a hub account, like the hub strategy, also records it in each currency
+ * result, e.g.
+ * { XOF: { currency: 'XOF', matrix, hubAccount: 'hub' } }
+ *
+ * opts.threshold gives a minimum payment per currency, e.g. { XOF: '500' }. Net positions smaller
+ * than the threshold are not paid but carried forward to the next window. As the carried positions
+ * need not sum to zero, the difference is also carried forward, taken from the largest positions
+ * on the other side. The currency result then lists what was carried forward, for booking:
+ * { XOF: { currency: 'XOF', matrix, carryForward: [ { account, participantId, accountId, amount, reason } ] } }
+ * where amount is the deferred net settlement amount and reason is 'BELOW_THRESHOLD' for a
+ * position smaller than the threshold, or what is left of one after balancing, or 'BALANCING' for
+ * an amount taken from a position, in part or in full, to balance the rest. A position carried
+ * forward for both reasons has an entry for each.
+ *
  * @returns {object}
  */
-function minPaymentsAlgorithm(input) {
+function minPaymentsAlgorithm(input, opts = {}) {
     /*
         there are a few algorithms in the public domain that accomplish
         the task of minimising the number of money movements between a set
@@ -41,22 +289,25 @@ function minPaymentsAlgorithm(input) {
         most are variations on a common theme thus:
 
         some validation is required in this case:
-        1. the TOTAL of debitors and creditors net amounts MUST sum to zero
-        2. all accounts must be of the same currency
-        3. only one account per participant (this may change in future)
+        1. the TOTAL of debitors and creditors net amounts MUST sum to zero in each currency
+        2. each currency is settled independently of the others
+        3. each participant account is netted independently of the participant's other accounts
     */
 
     //work out the minimal set of transfers to settle
+    const { strategy = DEFAULT_STRATEGY, threshold = {}, ...strategyOpts } = opts;
+    const settle = getStrategy(strategy);
+    const hubAccount = settle.hubAccount === undefined ? undefined : settle.hubAccount(strategyOpts);
 
-    //start by projecting our participants into net amount order
-    let participants = input.participants
-        .map(p => ({
-            id: p.id,
-            acctId: p.accounts[0].id,
-            amount: Big(p.accounts[0].netSettlementAmount.amount),
-            cur: p.accounts[0].netSettlementAmount.currency
-        }))
-        .sort((a, b) => a.amount.cmp(b.amount));
+    //start by projecting our participant accounts
+    const participants = input.participants
+        .reduce((pv, p) => [ ...pv, ...p.accounts.map(a => ({
+            id: accountKey(p.id, a.id),
+            participantId: p.id,
+            acctId: a.id,
+            amount: Big(a.netSettlementAmount.amount),
+            cur: a.netSettlementAmount.currency
+        })) ], []);
 
     //do some validation
 
@@ -66,156 +317,768 @@ function minPaymentsAlgorithm(input) {
     }
 
     //no duplicate participants
+    input.participants.forEach(p => {
+        if (input.participants.findIndex(q => q.id === p.id && !Object.is(p, q)) !== -1) {
+            throw new Error('Participant appears more than once in settlement');
+        }
+    });
+
+    //no duplicate accounts
     participants.forEach(p => {
         if (participants.findIndex(q => q.id === p.id && !Object.is(p, q)) !== -1) {
-            throw new Error('Participant appears more than once in settlement');
+            throw new Error(`Account ${p.acctId} appears more than once for participant ${p.participantId} in settlement`);
         }
     });
 
-    //all currencies the same?
-    if(!participants.every(p => p.cur === participants[0].cur)) {
-        throw new Error('Not all currencies are the same');
+    //split the settlement by currency, preserving the order in which currencies first appear
+    const byCurrency = participants.reduce((groups, p) => ({
+        ...groups,
+        [p.cur]: [ ...(groups[p.cur] || []), p ]
+    }), {});
+
+    return Object.entries(byCurrency).reduce((result, [cur, ps]) => {
+        const { matrix, carryForward } = currencyPaymentsMatrix(cur, ps, settle, strategyOpts, threshold[cur]);
+        return {
+            ...result,
+            [cur]: {
+                currency: cur,
+                matrix,
+                ...(hubAccount === undefined ? {} : { hubAccount }),
+                ...(carryForward === undefined ? {} : { carryForward })
+            }
+        };
+    }, {});
+}
+
+/**
+ * Carries forward the positions smaller than the supplied threshold, and as much of the largest
+ * positions on the other side as balances them, see minPaymentsAlgorithm. Returns the remaining
+ * participants and the carry-forward report.
+ *
+ * @returns {object}
+ */
+function carryForwardPositions(cur, ps, threshold) {
+    let limit;
+    try {
+        limit = Big(threshold);
+    } catch (err) {
+        limit = Big(0);
+    }
+    if (limit.lte(0)) {
+        throw new Error(`Minimum payment threshold for ${cur} must be a positive amount, not ${threshold}`);
     }
-    const currency = currencies[participants[0].cur];
 
-    //currency is valid
-    if (currency === undefined) {
-        throw new Error(`Unsupported currency ${participants[0].cur}. Add a new currency to currencies.json.`);
+    //amounts carried forward by account, then by reason
+    const carried = {};
+    const carry = (p, amount, reason) => {
+        const c = carried[p.id] || {};
+        carried[p.id] = { ...c, [reason]: c[reason] === undefined ? amount : c[reason].plus(amount) };
+    };
+
+    //carrying forward part of a position to balance may leave the rest below the threshold too, so
+    //repeat until every remaining position is zero or at least the threshold
+    let remaining = ps;
+    for (;;) {
+        const below = remaining.filter(p => !p.amount.eq(0) && p.amount.abs().lt(limit));
+        if (below.length === 0) {
+            break;
+        }
+        below.forEach(p => carry(p, p.amount, 'BELOW_THRESHOLD'));
+        remaining = remaining.map(p => below.includes(p) ? { ...p, amount: Big(0) } : p);
+
+        //balance what was carried forward against the largest positions on the other side
+        let imbalance = below.reduce((pv, p) => pv.plus(p.amount), Big(0));
+        const balancing = [ ...remaining ]
+            .filter(p => imbalance.lt(0) ? p.amount.gt(0) : p.amount.lt(0))
+            .sort((a, b) => b.amount.abs().cmp(a.amount.abs()));
+        balancing.forEach(p => {
+            if (imbalance.eq(0)) {
+                return;
+            }
+            const amount = p.amount.abs().lt(imbalance.abs()) ? p.amount : imbalance.times(-1);
+            carry(p, amount, 'BALANCING');
+            imbalance = imbalance.plus(amount);
+            remaining = remaining.map(q => q === p ? { ...q, amount: q.amount.minus(amount) } : q);
+        });
     }
 
+    return {
+        participants: remaining,
+        carryForward: ps.filter(p => p.id in carried).reduce((pv, p) => [ ...pv, ...Object.entries(carried[p.id])
+            .map(([ reason, amount ]) => ({
+                account: p.id,
+                participantId: p.participantId,
+                accountId: p.acctId,
+                amount: amount.toString(),
+                reason
+            })) ], [])
+    };
+}
+
+/**
+ * Computes the payments matrix for participants that all settle in the same currency using the
+ * supplied strategy. Participants are the projection produced by minPaymentsAlgorithm. Returns
+ * { matrix }, and carryForward where a threshold is given.
+ *
+ * @returns {object}
+ */
+function currencyPaymentsMatrix(cur, ps, settle, opts, threshold) {
+    //currency is valid
+    const currency = getCurrency(cur);
+
+    //put our participants into net amount order
+    let participants = [ ...ps ].sort((a, b) => a.amount.cmp(b.amount));
+
     //check the input has a valid number of decimal places
     const currErrs = participants.filter(p => !p.amount.round(currency.dp).eq(p.amount));
     if (currErrs.length > 0) {
-        throw new Error(util.format(participants[0].cur, 'allows', currency.dp,
-            'decimal places. Participants', currErrs.map(p => p.id).join(', '),
+        throw new Error(util.format(cur, 'allows', currency.dp,
+            'decimal places. Participants', currErrs.map(p => p.participantId).join(', '),
             'have invalid settlement amounts of', currErrs.map(p => p.amount.toString()).join(', '),
-            'respectively. See currencies.json in this package and ISO 4217 for more.'));
+            'respectively. See ISO 4217 for more, or registerCurrency to override the minor units.'));
     }
 
     //sum to zero?
     let sum = participants.reduce((a, c) => a.plus(c.amount), Big(0));
     if(!sum.eq(0)) {
-        throw new Error(`Creditors and debtors do not sum to zero, they sum to ${sum}`);
+        throw new Error(`Creditors and debtors do not sum to zero, they sum to ${sum} ${cur}`);
     }
 
-    //only one account per participant?
-    input.participants.forEach(p => {
-        if(p.accounts.length > 1) {
-            throw new Error(`Participant has more than one account in settlement: ${util.inspect(p)}`);
+    //defer positions below the minimum payment
+    let carryForward;
+    if (threshold !== undefined) {
+        ({ participants, carryForward } = carryForwardPositions(cur, participants, threshold));
+        participants.sort((a, b) => a.amount.cmp(b.amount));
+    }
+
+    //ok to proceed
+    const debtors = participants.filter(p => p.amount.gt(0));
+    const creditors = participants.filter(p => !p.amount.gt(0));
+    const matrix = settle(debtors, creditors, opts);
+
+    // See verifyPaymentMatrix for validation of the result against the input.
+
+    return { matrix, carryForward };
+}
+
+/**
+ * Checks that a result of minPaymentsAlgorithm really settles the input settlement. For each
+ * currency the net position of every participant account is recomputed from the matrix and
+ * compared against the settlement, and the following invariants are checked:
+ * - every debtor pays and every creditor is paid
+ * - no account both pays and receives
+ * - the matrix control sum equals the total debit
+ * - every payment amount is positive
+ * Where a currency result names a hubAccount, the hub must net to zero, is allowed to both pay and
+ * receive, and the control sum must equal twice the total debit as every debit passes through it.
+ * Where a currency result has a carryForward report, the amounts carried forward must sum to zero
+ * and, summed by account, are deducted from the net positions the matrix has to settle.
+ *
+ * Returns a report of the form:
+ * {
+ *     valid: false,
+ *     errors: [ { code: 'NET_POSITION_MISMATCH', currency: 'XOF', account: '1:10', message } ],
+ *     currencies: { XOF: { valid: false, totalDebit: '100', ctrlSum: '90', errors: [ ... ] } }
+ * }
+ *
+ * @returns {object}
+ */
+function verifyPaymentMatrix(input, result) {
+    const error = (code, currency, message, details = {}) => ({ code, currency, ...details, message });
+
+    //the expected net position of every account, grouped by currency
+    const expected = input.participants.reduce((pv, p) => p.accounts.reduce((pv2, a) => {
+        const cur = a.netSettlementAmount.currency;
+        return {
+            ...pv2,
+            [cur]: { ...pv2[cur], [accountKey(p.id, a.id)]: Big(a.netSettlementAmount.amount) }
+        };
+    }, pv), {});
+
+    const curs = [ ...new Set([ ...Object.keys(expected), ...Object.keys(result) ]) ];
+
+    const currencyReports = curs.reduce((reports, cur) => {
+        const errors = [];
+        const hubAccount = result[cur] && result[cur].hubAccount;
+        const carryForward = (result[cur] && result[cur].carryForward) || [];
+
+        //amounts carried forward are settled in a later window
+        const carried = carryForward.reduce((pv, c) => ({ ...pv, [c.account]: Big(c.amount).plus(pv[c.account] || 0) }), {});
+        const nets = Object.entries({ ...expected[cur], ...(hubAccount ? { [hubAccount]: Big(0) } : {}) })
+            .reduce((pv, [ account, net ]) => ({ ...pv, [account]: net.minus(carried[account] || 0) }), {});
+        const totalDebit = Object.values(nets).filter(n => n.gt(0)).reduce((pv, cv) => pv.plus(cv), Big(0));
+        const expectedCtrlSum = hubAccount ? totalDebit.times(2) : totalDebit;
+
+        if (!(cur in expected)) {
+            errors.push(error('UNEXPECTED_CURRENCY', cur, `Result contains currency ${cur} which is not in the settlement`));
+        }
+        if (!(cur in result)) {
+            errors.push(error('MISSING_CURRENCY', cur, `Result contains no payments for settlement currency ${cur}`));
+        }
+        const carriedSum = Object.values(carried).reduce((pv, cv) => pv.plus(cv), Big(0));
+        if (!carriedSum.eq(0)) {
+            errors.push(error('CARRY_FORWARD_IMBALANCE', cur, `Amounts carried forward sum to ${carriedSum}, not zero`,
+                { actual: carriedSum.toString() }));
+        }
+        Object.keys(carried).filter(account => !(account in (expected[cur] || {}))).forEach(account => {
+            errors.push(error('UNKNOWN_ACCOUNT', cur,
+                `Account ${account} is carried forward but not in the settlement`, { account }));
+        });
+
+        const matrix = (result[cur] && result[cur].matrix) || {};
+        const payments = Object.entries(matrix).reduce((pv, [payer, payees]) =>
+            [ ...pv, ...Object.entries(payees).map(([payee, amount]) => ({ payer, payee, amount })) ],
+            []);
+
+        //no zero, negative or otherwise invalid payments; they are excluded from further checks
+        const validPayments = payments.filter(({ payer, payee, amount }) => {
+            let amt;
+            try {
+                amt = Big(amount);
+            } catch (err) {
+                errors.push(error('INVALID_PAYMENT', cur,
+                    `Payment from ${payer} to ${payee} has invalid amount ${amount}`, { payer, payee, amount }));
+                return false;
+            }
+            if (amt.lte(0)) {
+                errors.push(error('NON_POSITIVE_PAYMENT', cur,
+                    `Payment from ${payer} to ${payee} has non-positive amount ${amount}`, { payer, payee, amount }));
+                return false;
+            }
+            return true;
+        });
+
+        //recompute the net position of each account from the matrix
+        const actual = validPayments.reduce((pv, { payer, payee, amount }) => ({
+            ...pv,
+            [payer]: (pv[payer] || Big(0)).plus(amount),
+            [payee]: (pv[payee] || Big(0)).minus(amount)
+        }), {});
+        const payers = new Set(validPayments.map(p => p.payer));
+        const payees = new Set(validPayments.map(p => p.payee));
+
+        Object.keys(actual).filter(acct => !(acct in nets)).forEach(account => {
+            errors.push(error('UNKNOWN_ACCOUNT', cur,
+                `Account ${account} is in the payment matrix but not in the settlement`, { account }));
+        });
+
+        Object.entries(nets).forEach(([account, net]) => {
+            if (net.gt(0) && !payers.has(account)) {
+                errors.push(error('MISSING_DEBTOR', cur, `Debtor ${account} makes no payments`, { account }));
+            }
+            if (net.lt(0) && !payees.has(account)) {
+                errors.push(error('MISSING_CREDITOR', cur, `Creditor ${account} receives no payments`, { account }));
+            }
+            const recomputed = actual[account] || Big(0);
+            if (!recomputed.eq(net)) {
+                errors.push(error('NET_POSITION_MISMATCH', cur,
+                    `Account ${account} has net settlement amount ${net} but the payment matrix settles ${recomputed}`,
+                    { account, expected: net.toString(), actual: recomputed.toString() }));
+            }
+        });
+
+        [ ...payers ].filter(acct => payees.has(acct) && acct !== hubAccount).forEach(account => {
+            errors.push(error('PAYS_AND_RECEIVES', cur, `Account ${account} both pays and receives`, { account }));
+        });
+
+        const ctrlSum = validPayments.reduce((pv, cv) => pv.plus(cv.amount), Big(0));
+        if (!ctrlSum.eq(expectedCtrlSum)) {
+            errors.push(error('CTRL_SUM_MISMATCH', cur,
+                `Payment matrix control sum ${ctrlSum} does not equal expected control sum ${expectedCtrlSum}`,
+                { expected: expectedCtrlSum.toString(), actual: ctrlSum.toString() }));
+        }
+
+        return {
+            ...reports,
+            [cur]: { valid: errors.length === 0, totalDebit: totalDebit.toString(), ctrlSum: ctrlSum.toString(), errors }
+        };
+    }, {});
+
+    const errors = Object.values(currencyReports).reduce((pv, r) => [ ...pv, ...r.errors ], []);
+    return { valid: errors.length === 0, errors, currencies: currencyReports };
+}
+
+/**
+ * Runs minPaymentsAlgorithm over the same settlement with each of the named strategies, all
+ * registered strategies by default, so that the resulting payments can be compared. For every
+ * strategy and currency this reports the number of payments and their total value. Where
+ * opts.fee is supplied it is called with each { payer, payee, amount, currency } and should
+ * return the bank fee for that payment; the total is reported as fees. Remaining options are
+ * passed to minPaymentsAlgorithm. A strategy that cannot settle the input reports its error, e.g.
+ * { greedy: { XOF: { payments: 3, volume: '1500' } }, exact: { error: '...' } }
+ *
+ * @returns {object}
+ */
+function compareStrategies(input, opts = {}) {
+    const { strategies = listStrategies(), fee, ...algoOpts } = opts;
+    return strategies.reduce((comparison, strategy) => {
+        let result;
+        try {
+            result = minPaymentsAlgorithm(input, { ...algoOpts, strategy });
+        } catch (err) {
+            return { ...comparison, [strategy]: { error: err.message } };
+        }
+        return {
+            ...comparison,
+            [strategy]: Object.values(result).reduce((pv, { currency, matrix }) => {
+                const payments = Object.entries(matrix).reduce((pv2, [payer, payees]) =>
+                    [ ...pv2, ...Object.entries(payees).map(([payee, amount]) => ({ payer, payee, amount, currency })) ],
+                    []);
+                return {
+                    ...pv,
+                    [currency]: {
+                        payments: payments.length,
+                        volume: payments.reduce((sum, p) => sum.plus(p.amount), Big(0)).toString(),
+                        ...(fee ? { fees: payments.reduce((sum, p) => sum.plus(fee(p)), Big(0)).toString() } : {})
+                    }
+                };
+            }, {})
+        };
+    }, {});
+}
+
+/**
+ * Compares a payment file read back with parsePaymentFile against the payments
+ * minPaymentsAlgorithm produces for the settlement, for example to check a file before it is sent
+ * to the bank or one received from elsewhere. opts.algorithm is passed to minPaymentsAlgorithm and
+ * should match the options the file was generated with.
+ *
+ * The expected matrix is keyed as parsePaymentFile would key it, see dfspAccountKey, so ledger
+ * accounts sharing a bank account are compared as one. Returns:
+ * {
+ *     equal: false,
+ *     differences: [ { code: 'AMOUNT_MISMATCH', payer: '1', payee: '2', expected: '10', actual: '9', message } ]
+ * }
+ * with codes MISSING_CURRENCY, MISSING_PAYMENT, UNEXPECTED_PAYMENT, AMOUNT_MISMATCH,
+ * CTRL_SUM_MISMATCH and WINDOW_MISMATCH.
+ *
+ * @returns {object}
+ */
+function comparePaymentFile(parsed, settlement, dfspConf, opts = {}) {
+    const { currency, matrix, windowId } = parsed;
+    const differences = [];
+    const difference = (code, message, details = {}) => differences.push({ code, ...details, message });
+
+    const result = minPaymentsAlgorithm(settlement, opts.algorithm)[currency];
+    if (!result) {
+        difference('MISSING_CURRENCY', `Settlement has no payments in ${currency}`);
+    }
+
+    //sum ledger accounts that the file cannot tell apart
+    const key = k => dfspAccountKey(dfspConf, k);
+    const expected = Object.entries((result && result.matrix) || {}).reduce((pv, [payer, payees]) =>
+        Object.entries(payees).reduce((pv2, [payee, amount]) => ({
+            ...pv2,
+            [key(payer)]: {
+                ...pv2[key(payer)],
+                [key(payee)]: Big(amount).plus((pv2[key(payer)] || {})[key(payee)] || 0).toString()
+            }
+        }), pv), {});
+
+    const pairs = [ expected, matrix ].reduce((pv, m) => [
+        ...pv,
+        ...Object.entries(m).reduce((pv2, [payer, payees]) =>
+            [ ...pv2, ...Object.keys(payees).map(payee => `${payer}\n${payee}`) ], [])
+    ], []);
+    [ ...new Set(pairs) ].map(p => p.split('\n')).forEach(([ payer, payee ]) => {
+        const exp = (expected[payer] || {})[payee];
+        const act = (matrix[payer] || {})[payee];
+        if (act === undefined) {
+            difference('MISSING_PAYMENT', `Payment of ${exp} ${currency} from ${payer} to ${payee} is not in the payment file`,
+                { payer, payee, expected: exp });
+        } else if (exp === undefined) {
+            difference('UNEXPECTED_PAYMENT', `Payment of ${act} ${currency} from ${payer} to ${payee} is not in the settlement`,
+                { payer, payee, actual: act });
+        } else if (!Big(act).eq(exp)) {
+            difference('AMOUNT_MISMATCH', `Payment from ${payer} to ${payee} is ${act} ${currency}, expected ${exp}`,
+                { payer, payee, expected: exp, actual: act });
         }
     });
 
-    //ok to proceed
-    const splitIndex = participants.findIndex(p => p.amount.gt(0));
-    let debtors = participants.splice(splitIndex); // WARNING: modifies participants
-    let creditors = participants; // correct because the above line modifies participants
-    let matrix = debtors.reduce((o, d) => ({ [d.id]: {}, ...o }), {});
-    while (creditors.length > 0) {
-        let creditor = creditors.pop();
-        // If there are unpaid creditors and the smallest remaining balance is less than or equal
-        // to the remaining amount payable by our current debtor
-        while (debtors.length > 0 && creditor.amount.plus(debtors[debtors.length - 1].amount).lte(0)) {
-            const exhaustedDebtor = debtors.pop();
-            matrix[exhaustedDebtor.id][creditor.id] = exhaustedDebtor.amount.toString();
-            creditor.amount = creditor.amount.plus(exhaustedDebtor.amount);
-        }
-        // If we haven't fully paid our creditor, take some money from the next debtor
-        if (creditor.amount.lt(0)) {
-            const partiallyExhaustedDebtor = debtors[debtors.length - 1];
-            matrix[partiallyExhaustedDebtor.id][creditor.id] = creditor.amount.times(-1).toString();
-            partiallyExhaustedDebtor.amount = partiallyExhaustedDebtor.amount.plus(creditor.amount);
-        }
-    }
-
-    if (debtors.length > 0) {
-        throw new Error('Failed to balance payments');
-    }
-
-    // TODO: a bunch more validation, e.g. checking the sum of the payment amounts in the
-    // result equals the sum of the payment amounts in the input. Checking that all debtors and
-    // creditors are represented, etc. Note: this does _not_ have to be an efficient piece of
-    // software. Further note: a lot of the infrastructure for this validation exists in the tests;
-    // it could be reproduced/used here.
-
-    return { currency: input.participants[0].accounts[0].netSettlementAmount.currency, matrix };
+    const ctrlSum = Object.values(expected).reduce((pv, payees) =>
+        Object.values(payees).reduce((pv2, amount) => pv2.plus(amount), pv), Big(0));
+    if (!ctrlSum.eq(parsed.ctrlSum)) {
+        difference('CTRL_SUM_MISMATCH', `Payment file control sum ${parsed.ctrlSum} does not equal expected control sum ${ctrlSum}`,
+            { expected: ctrlSum.toString(), actual: parsed.ctrlSum });
+    }
+
+    // The remittance text of a file settling several windows lists them all
+    const windowIds = (settlement.settlementWindows || []).map(w => String(w.id));
+    if (windowId !== undefined && windowIds.length > 0 && String(windowId).split(/,\s*/).some(w => !windowIds.includes(w))) {
+        difference('WINDOW_MISMATCH', `Payment file is for settlement window ${windowId}, settlement has windows ${windowIds.join(', ')}`,
+            { expected: windowIds, actual: windowId });
+    }
+
+    return { equal: differences.length === 0, differences };
 }
 
+/*
+ * The credit transfers that make a payer's payments, each payment split as the bank profile
+ * requires. part is the index of the transaction for a split payment, otherwise undefined.
+ */
+const transfers = (profile, currency, payees) => Object.entries(payees).reduce((pv, [ payee, amount ]) => {
+    const parts = splitAmount(profile, currency, amount);
+    return [ ...pv, ...parts.map((amt, i) => ({ payee, amount: amt, part: parts.length > 1 ? i : undefined })) ];
+}, []);
+
 /*
  * <Document xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03">
+ *
+ * The message version produced, pain.001.001.03 or pain.001.001.09, is that of the template. Where
+ * opts.messageVersion is given the template must be of that version.
+ *
+ * Accepts a single { currency, matrix } or an array of them, one per currency. Each payer
+ * produces one PmtInf block per currency. windowId is a settlement window ID, or a list of them
+ * for payments settling several windows.
+ *
+ * opts.ids is the name of a built-in ID generator, 'random' (the default) or 'deterministic', or a
+ * generator object, see ids.js. opts.clock is a function returning the current Date, used for
+ * CreDtTm and ReqdExctnDt. opts.executionDate, a function taking { currency, payer, now } and
+ * returning an ISO date, gives the ReqdExctnDt of each PmtInf block instead of the creation date.
+ *
+ * opts.bankProfile is the name of a registered bank profile or a profile object, see
+ * bankProfiles.js. It supplies the initiating party, agents, charge bearer, service level, account
+ * ID normalisation and remittance text. The default is the 'citi-ci' profile.
+ *
+ * dfspConf is keyed by participant ID. The bank account for a participant's ledger account is
+ * taken from dfspConf[participantId].accounts[ledgerAccountId] where present, falling back to the
+ * participant-level accountId, for example:
+ * {
+ *     '1': { name: 'DFSP 1', country: 'CI', accountId: '0123456789' },
+ *     '2': { name: 'DFSP 2', country: 'CI', accounts: { '20': { accountId: '0987654321' } } },
+ *     '3': { name: 'DFSP 3', country: 'CI', iban: 'CI93 CI00 8011 1301 1342 9120 0589' }
+ * }
+ * A bank account given by iban is written to Id/IBAN, in electronic format; one given by accountId
+ * to Id/Othr/Id.
  */
-function format({ matrix, currency }, dfspConf, template, windowId) {
+function format(payments, dfspConf, template, windowId, opts = {}) {
+    const { clock = () => new Date(), executionDate = ({ now }) => now.toISOString().split('T')[0] } = opts;
+    const ids = idGenerator(opts.ids);
+    const profile = getBankProfile(opts.bankProfile);
 
     // cursory check that we've got a/the correct file
-    if (template.Document._attributes.xmlns !== 'urn:iso:std:iso:20022:tech:xsd:pain.001.001.03') {
+    const version = messageVersionForNamespace(template.Document._attributes.xmlns);
+    if (version === undefined || (opts.messageVersion !== undefined && getMessageVersion(opts.messageVersion).name !== version.name)) {
         throw new Error('Template file appears not to have correct document attributes');
     }
 
-    // Flatten the payment matrix
-    const paymentsArr = Object.entries(matrix).reduce((pv, [payer, payments]) => 
-        [ ...pv, ...Object.entries(payments).map(([payee, amt]) => ({ payer, payee, amt })) ],
+    // Resolve the bank account details for a ledger account key
+    const account = key => bankAccount(dfspConf, key);
+
+    // One entry per payer per currency, each of which becomes a PmtInf block. Payments between
+    // ledger accounts held at the same bank account are left out, see bankPayments.
+    const payerPayments = bankPayments(profile, dfspConf, payments).reduce((pv, { matrix, currency }) =>
+        [ ...pv, ...Object.entries(matrix).map(([payer, payees]) => ({ payer, payees, currency })) ],
         []);
 
-    // Check required information is present
-    paymentsArr.forEach(({ payer, payee }) => {
-        if (!(payer in dfspConf)) {
-            throw new Error(util.format('Couldn\'t find DFSP with id', payer, 'in DFSP config'));
-        }
-        if (!(payee in dfspConf)) {
-            throw new Error(util.format('Couldn\'t find DFSP with id', payee, 'in DFSP config'));
-        }
-    });
+    // Flatten the payment matrices into credit transfers
+    const paymentsArr = payerPayments.reduce((pv, { payer, payees, currency }) =>
+        [ ...pv, ...transfers(profile, currency, payees).map(({ payee, amount }) => ({ payer, payee, amt: amount })) ],
+        []);
+
+    // Check required information is present and valid for every participant paid or paying
+    paymentsArr.forEach(({ payer, payee }) => [ payer, payee ].forEach(account));
+    const referenced = [ ...new Set(paymentsArr.reduce((pv, { payer, payee }) =>
+        [ ...pv, parseAccountKey(payer).participantId, parseAccountKey(payee).participantId ], [])) ];
+    const { errors } = validateDfspConf(referenced.reduce((pv, id) => ({ ...pv, [id]: dfspConf[id] }), {}));
+    if (errors.length > 0) {
+        const err = new Error(`DFSP config is invalid: ${errors.map(e => e.message).join('; ')}`);
+        err.errors = errors;
+        throw err;
+    }
 
     // Modify header
     // let grpHdr = template.elements[0].elements[0].elements.find(e => e.name === 'GrpHdr');
-    const now = new Date();
-    const nowDate = now.toISOString().split('T')[0];
+    const now = clock();
     let grpHdr = template.Document.CstmrCdtTrfInitn.GrpHdr;
-    // 1 / (64 ^ 35) chance of collision, or, for five settlements per week, MTBF of
-    // (((1 / (64 ^ 35)) / 2) / 5) weeks, or roughly 3.2e60 years. So probably not in our lifetimes.
-    // Additionally, the failure mode is rejection of the output file by Citibank, citing a
-    // duplicate message header id. Which can be overcome by regeneration of the file with a new ID.
-    // If you're reading this comment in the extremely distant future, I'm sorry.
-    grpHdr.MsgId._text = crypto.randomBytes(27).toString('base64').substring(0, 35);
+    grpHdr.MsgId._text = ids.msgId({ windowId, currencies: currencyPayments(payments).map(p => p.currency) });
     grpHdr.CreDtTm._text = now.toISOString();
     grpHdr.NbOfTxs._text = paymentsArr.length;
     grpHdr.CtrlSum._text = paymentsArr.reduce((pv, cv) => pv.plus(cv.amt), Big(0)).toString();
+    grpHdr.InitgPty = { Nm: { _text: profile.initiatingParty.name } };
+
+    // Bank-specific elements
+    const postalAddress = country => country === undefined ? {} : { PstlAdr: { Ctry: { _text: country } } };
+    const dbtrAgt = {
+        FinInstnId: {
+            [version.agentBic]: { _text: profile.debtorAgent.bic },
+            ...postalAddress(profile.debtorAgent.country) } };
+    const cdtrAgt = {
+        FinInstnId: {
+            [version.agentBic]: { _text: profile.creditorAgent.bic },
+            ...(profile.creditorAgent.clearingSystemMemberId === undefined ? {}
+                : { ClrSysMmbId: { MmbId: { _text: profile.creditorAgent.clearingSystemMemberId } } }),
+            ...(profile.creditorAgent.name === undefined ? {} : { Nm: { _text: profile.creditorAgent.name } }),
+            ...postalAddress(profile.creditorAgent.country) } };
+    const dbtrId = profile.debtor && profile.debtor.bic
+        ? { Id: { OrgId: { [version.partyBic]: { _text: profile.debtor.bic } } } } : {};
+    const cdtrCtctDtls = profile.creditor && profile.creditor.contactName
+        ? { CtctDtls: { Nm: { _text: profile.creditor.contactName } } } : {};
+    // IBANs go in Id/IBAN, other account IDs in Id/Othr/Id
+    const accountId = key => account(key).iban === undefined
+        ? { Othr: { Id: { _text: bankAccountId(profile, account(key)) } } }
+        : { IBAN: { _text: bankAccountId(profile, account(key)) } };
 
     // Map our payments array into the required output format
     // Get a payment object from the template
     const pmtInfTemplate = template.Document.CstmrCdtTrfInitn.PmtInf;
     const creditInfTemplate = pmtInfTemplate.CdtTrfTxInf[0];
 
-    // for all CdtTrfTxInf, we want the RmtInf.Ustrd field to contain the settlement window ID, so we modify the template here
-    template.Document.CstmrCdtTrfInitn.PmtInf.CdtTrfTxInf.forEach(acc => acc.RmtInf.Ustrd._text = `Settlement Window ${windowId}`);
-    
-    const pmtInf = Object.entries(matrix).map(([payer, payments], i) => ({
+    const pmtInf = payerPayments.map(({ payer, payees, currency }, i) => ({
         ...pmtInfTemplate,
-        // TODO: Does PmtInfId need to be 'universally unique' or unique within the context of this PmtInf
-        PmtInfId: i.toString(),
-        NbOfTxs: Object.keys(payments).length,
-        CtrlSum: Object.values(payments).reduce((pv, cv) => pv.plus(cv), Big(0)).toString(),
-        // TODO: required execution date, is it "today"?
-        ReqdExctnDt: nowDate,
+        PmtInfId: ids.pmtInfId({ windowId, payer, currency, index: i }),
+        NbOfTxs: transfers(profile, currency, payees).length,
+        CtrlSum: Object.values(payees).reduce((pv, cv) => pv.plus(cv), Big(0)).toString(),
+        PmtTpInf: { SvcLvl: { Cd: { _text: profile.serviceLevel } } },
+        ReqdExctnDt: version.executionDate(executionDate({ currency, payer, now })),
         Dbtr: {
-            Nm: { _text: dfspConf[payer].name },
-            PstlAdr: { Ctry: { _text: dfspConf[payer].country } },
-            Id: { OrgId: { BICOrBEI: { _text: 'CITICIAX' } } } },
+            Nm: { _text: account(payer).name },
+            PstlAdr: { Ctry: { _text: account(payer).country } },
+            ...dbtrId },
         DbtrAcct: {
-            Id: { Othr: { Id: { _text: dfspConf[payer].accountId.replace(/^0*/,'') } } },
+            Id: accountId(payer),
             Ccy: { _text: currency } },
-        CdtTrfTxInf: Object.entries(payments).map(([payee, amount]) => ({
+        DbtrAgt: dbtrAgt,
+        CdtTrfTxInf: transfers(profile, currency, payees).map(({ payee, amount, part }) => ({
             ...creditInfTemplate,
-            // TODO: Does PmtId need to be 'universally unique' or unique within the context of this CdtTrfTxInf
-            PmtId: { EndToEndId: { _text: crypto.randomBytes(5).toString('hex') } }, // EndToEndId cannot be zero as specified by Peter Kamperman of Citi
+            PmtId: { EndToEndId: { _text: ids.endToEndId({ windowId, payer, payee, currency, part }) } },
             Amt: { InstdAmt: { _attributes: { Ccy: currency }, _text: amount.toString() } },
+            ChrgBr: { _text: profile.chargeBearer },
+            CdtrAgt: cdtrAgt,
             Cdtr: {
-                Nm: { _text: dfspConf[payee].name },
-                PstlAdr: { Ctry: { _text: dfspConf[payee].country } },
-                CtctDtls: { Nm: { _text: 'Casablanca JV Org' } } },
-            CdtrAcct: { Id: { Othr: { Id: { _text: dfspConf[payee].accountId.replace(/^0*/,'') } } } } }))
+                Nm: { _text: account(payee).name },
+                PstlAdr: { Ctry: { _text: account(payee).country } },
+                ...cdtrCtctDtls },
+            CdtrAcct: { Id: accountId(payee) },
+            RmtInf: { Ustrd: { _text: remittanceText(profile, {
+                windowId, currency, payerName: account(payer).name, payeeName: account(payee).name }) } } }))
     }));
 
     template.Document.CstmrCdtTrfInitn.PmtInf = pmtInf;
 
     return template;
 }
+
+/**
+ * Matches the entries of a camt.053 statement or camt.054 notification against the payments of a
+ * settlement window, to confirm the bank made the payments of the payment file we sent.
+ *
+ * statement is the output of parseStatement or a camt.053/camt.054 XML string. payments is the
+ * output of minPaymentsAlgorithm for the window, or any value accepted by format, and dfspConf the
+ * DFSP config used to produce the payment file. opts.bankProfile must be the profile the file was
+ * produced with, and opts.ids its ID generator where EndToEndIds can be regenerated, e.g.
+ * 'deterministic'.
+ *
+ * An entry matches a payment by EndToEndId where possible. Otherwise it matches on amount,
+ * currency and counterparty account; where the entry carries remittance text it must also contain
+ * the remittance text of the payment, which identifies the settlement window. The counterparty of
+ * a debit entry is the payee and of a credit entry the payer. Each payment matches at most one
+ * entry. Returns:
+ *
+ * {
+ *     windowId,
+ *     reconciled,             true if every payment matched an entry without discrepancies
+ *     matched: [ { entry, payment, matchedBy, discrepancies } ],
+ *     unmatchedEntries: [ entry ],
+ *     unmatchedPayments: [ payment ]
+ * }
+ *
+ * where payment is { windowId, currency, payer, payee, amount, payerAccount, payeeAccount,
+ * remittanceText, endToEndId }, one for each transaction of a payment the bank profile splits,
+ * matchedBy is 'endToEndId' or 'details' and discrepancies lists
+ * the fields of an EndToEndId match that differ from the payment: 'amount', 'currency' or
+ * 'counterpartyAccount'.
+ *
+ * @returns {object}
+ */
+function reconcileStatement(statement, windowId, payments, dfspConf, opts = {}) {
+    const { entries } = typeof statement === 'string' ? parseStatement(statement) : statement;
+    const profile = getBankProfile(opts.bankProfile);
+    const ids = opts.ids === undefined ? undefined : idGenerator(opts.ids);
+    const account = key => bankAccount(dfspConf, key);
+    const normalise = id => id === undefined ? undefined : normaliseAccountId(profile, id);
+
+    // The payments we expect to find on the statement, one per credit transfer of the payment file
+    const expected = bankPayments(profile, dfspConf, payments).reduce((pv, { currency, matrix }) => [ ...pv,
+        ...Object.entries(matrix).reduce((payerPayments, [ payer, payees ]) => [ ...payerPayments,
+            ...transfers(profile, currency, payees).map(({ payee, amount, part }) => ({
+                windowId,
+                currency,
+                payer,
+                payee,
+                amount,
+                payerAccount: bankAccountId(profile, account(payer)),
+                payeeAccount: bankAccountId(profile, account(payee)),
+                remittanceText: remittanceText(profile, {
+                    windowId, currency, payerName: account(payer).name, payeeName: account(payee).name }),
+                ...(ids === undefined ? {} : { endToEndId: ids.endToEndId({ windowId, payer, payee, currency, part }) })
+            }))], [])], []);
+
+    // The accounts of the payment as seen from the statement account, i.e. [ own, counterparty ]
+    const accounts = (entry, payment) => entry.creditDebit === 'DBIT'
+        ? [ payment.payerAccount, payment.payeeAccount ]
+        : [ payment.payeeAccount, payment.payerAccount ];
+
+    const discrepancies = (entry, payment) => [
+        ...(Big(entry.amount).eq(payment.amount) ? [] : [ 'amount' ]),
+        ...(entry.currency === payment.currency ? [] : [ 'currency' ]),
+        ...(entry.counterpartyAccount === undefined
+            || normalise(entry.counterpartyAccount) === accounts(entry, payment)[1] ? [] : [ 'counterpartyAccount' ]),
+    ];
+
+    const matchesDetails = (entry, payment) => {
+        const [ own, counterparty ] = accounts(entry, payment);
+        return discrepancies(entry, payment).length === 0
+            && normalise(entry.counterpartyAccount) === counterparty
+            && (entry.account === undefined || normalise(entry.account) === own)
+            && (entry.remittanceText === undefined || entry.remittanceText.includes(payment.remittanceText));
+    };
+
+    const unmatchedPayments = [ ...expected ];
+    const take = payment => unmatchedPayments.splice(unmatchedPayments.indexOf(payment), 1);
+    const results = entries.map(entry => {
+        const byId = entry.endToEndId === undefined ? undefined
+            : unmatchedPayments.find(p => p.endToEndId === entry.endToEndId);
+        if (byId !== undefined) {
+            take(byId);
+            return { entry, payment: byId, matchedBy: 'endToEndId', discrepancies: discrepancies(entry, byId) };
+        }
+        const byDetails = unmatchedPayments.find(p => matchesDetails(entry, p));
+        if (byDetails !== undefined) {
+            take(byDetails);
+            return { entry, payment: byDetails, matchedBy: 'details', discrepancies: [] };
+        }
+        return { entry };
+    });
+
+    const matched = results.filter(r => r.payment !== undefined);
+    return {
+        windowId,
+        reconciled: unmatchedPayments.length === 0 && matched.every(m => m.discrepancies.length === 0),
+        matched,
+        unmatchedEntries: results.filter(r => r.payment === undefined).map(r => r.entry),
+        unmatchedPayments,
+    };
+}
+
+/**
+ * Correlates a pain.002 status report with the pain.001 payment file it answers, mapping each
+ * reported status back to the MsgId, PmtInfId and EndToEndId of the file.
+ *
+ * report is the output of parseStatusReport or a pain.002 XML string. paymentFile is the XML
+ * produced by generatePaymentFile or the document returned by format. Payers and payees are
+ * identified by finding their bank account (normalised with opts.bankProfile, which should be
+ * the profile the file was produced with) or failing that their name in dfspConf.
+ *
+ * The status of a transaction is its own status where the report gives one, otherwise the status
+ * of its PmtInf block, otherwise the group status. PART (partially accepted) is never inherited,
+ * so a transaction without a status of its own in a partially accepted group has no status.
+ * Returns:
+ *
+ * {
+ *     msgId,                  MsgId of the payment file
+ *     reportMsgId,            MsgId of the status report
+ *     groupStatus,
+ *     groupReasons,
+ *     payments: [
+ *         {
+ *             pmtInfId, endToEndId, currency, amount,
+ *             payer: { participantId, name, account },
+ *             payee: { participantId, name, account },
+ *             status, statusLevel, reasons
+ *         }
+ *     ],
+ *     unmatched: [ { pmtInfId, endToEndId, status, reasons } ],
+ *     summary: { [currency]: { [payer]: { [payee]: { status, reasons } } } }
+ * }
+ *
+ * where statusLevel is 'transaction', 'paymentInformation' or 'group', unmatched lists statuses
+ * for PmtInf blocks or transactions that are not in the file, and summary identifies payers and
+ * payees by participant ID, or name where the participant could not be found. A payment made as
+ * several transactions, see splitAmount, is summarised as PART unless every transaction has the
+ * same status.
+ *
+ * @returns {object}
+ */
+function correlateStatusReport(report, paymentFile, dfspConf, opts = {}) {
+    const statusReport = typeof report === 'string' ? parseStatusReport(report) : report;
+    const file = (typeof paymentFile === 'string' ? xml2js(paymentFile, { compact: true }) : paymentFile)
+        .Document.CstmrCdtTrfInitn;
+    const profile = getBankProfile(opts.bankProfile);
+    const msgId = compact.text(file.GrpHdr.MsgId);
+    if (statusReport.originalMsgId !== undefined && statusReport.originalMsgId !== msgId) {
+        throw new Error(`Status report refers to message ${statusReport.originalMsgId}, payment file has message ${msgId}`);
+    }
+
+    // Find participants by the bank accounts in the DFSP config, or failing that by name
+    const participants = configuredBankAccounts(dfspConf).map(a =>
+        ({ participantId: a.participantId, name: dfspConf[a.participantId].name, account: bankAccountId(profile, a) }));
+    const party = (nm, acct) => {
+        const name = compact.text(nm);
+        const account = compact.accountId(acct);
+        const found = participants.find(p => account !== undefined && p.account === normaliseAccountId(profile, account))
+            || participants.find(p => p.name === name);
+        return { participantId: found === undefined ? undefined : found.participantId, name, account };
+    };
+
+    const inherited = status => status === 'PART' ? undefined : status;
+    const statusOf = (pmtInfId, endToEndId) => {
+        const pmtInf = statusReport.paymentInformation.find(p => p.pmtInfId === pmtInfId);
+        const tx = pmtInf === undefined ? undefined : pmtInf.transactions.find(t => t.endToEndId === endToEndId);
+        if (tx !== undefined && tx.status !== undefined) {
+            return { status: tx.status, statusLevel: 'transaction', reasons: tx.reasons };
+        }
+        if (pmtInf !== undefined && inherited(pmtInf.status) !== undefined) {
+            return { status: pmtInf.status, statusLevel: 'paymentInformation', reasons: pmtInf.reasons };
+        }
+        if (inherited(statusReport.groupStatus) !== undefined) {
+            return { status: statusReport.groupStatus, statusLevel: 'group', reasons: statusReport.groupReasons };
+        }
+        return { status: undefined, statusLevel: undefined, reasons: [] };
+    };
+
+    const payments = compact.asArray(file.PmtInf).reduce((pv, pmtInf) => [ ...pv,
+        ...compact.asArray(pmtInf.CdtTrfTxInf).map(tx => {
+            const pmtInfId = compact.text(pmtInf.PmtInfId);
+            const endToEndId = compact.text(tx.PmtId.EndToEndId);
+            return {
+                pmtInfId,
+                endToEndId,
+                currency: tx.Amt.InstdAmt._attributes.Ccy,
+                amount: compact.text(tx.Amt.InstdAmt),
+                payer: party(pmtInf.Dbtr.Nm, pmtInf.DbtrAcct),
+                payee: party(tx.Cdtr.Nm, tx.CdtrAcct),
+                ...statusOf(pmtInfId, endToEndId),
+            };
+        })], []);
+
+    const inFile = (pmtInfId, endToEndId) => payments.some(p => p.pmtInfId === pmtInfId
+        && (endToEndId === undefined || p.endToEndId === endToEndId));
+    const unmatched = statusReport.paymentInformation.reduce((pv, pmtInf) => [ ...pv,
+        ...(inFile(pmtInf.pmtInfId) ? [] : [ { pmtInfId: pmtInf.pmtInfId, endToEndId: undefined, status: pmtInf.status, reasons: pmtInf.reasons } ]),
+        ...pmtInf.transactions
+            .filter(tx => !inFile(pmtInf.pmtInfId, tx.endToEndId))
+            .map(tx => ({ pmtInfId: pmtInf.pmtInfId, endToEndId: tx.endToEndId, status: tx.status, reasons: tx.reasons })) ], []);
+
+    // A payment split into several transactions is PART unless every transaction has the same status
+    const id = p => p.participantId === undefined ? p.name : p.participantId;
+    const combine = (prev, p) => prev === undefined ? { status: p.status, reasons: p.reasons }
+        : { status: prev.status === p.status ? p.status : 'PART', reasons: [ ...prev.reasons, ...p.reasons ] };
+    const summary = payments.reduce((pv, p) => ({
+        ...pv,
+        [p.currency]: {
+            ...pv[p.currency],
+            [id(p.payer)]: {
+                ...(pv[p.currency] || {})[id(p.payer)],
+                [id(p.payee)]: combine(((pv[p.currency] || {})[id(p.payer)] || {})[id(p.payee)], p) } } }), {});
+
+    return {
+        msgId,
+        reportMsgId: statusReport.msgId,
+        groupStatus: statusReport.groupStatus,
+        groupReasons: statusReport.groupReasons,
+        payments,
+        unmatched,
+        summary,
+    };
+}
@@ -0,0 +1,439 @@
+const fs = require('fs');
+const { xml2js } = require('xml-js');
+
+/**
+ * A validator for the subset of XML Schema used by the ISO 20022 message schemas: named complex
+ * types built from xs:sequence, xs:choice and xs:any, simple content with attributes, and simple
+ * types restricting the built-in string, decimal, boolean, date and time types with the usual
+ * facets. This lets us validate messages against the bundled schemas without a native XML library.
+ *
+ * Violations are reported as { path, message } where path is an XPath to the offending element,
+ * e.g. /Document/CstmrCdtTrfInitn/PmtInf[2]/CdtTrfTxInf/Amt/InstdAmt
+ */
+
+const XS = 'xs:';
+
+const localName = (name) => name.split(':').pop();
+
+const childElements = (node) => (node.elements || []).filter((e) => e.type === 'element');
+
+const occurs = (node) => {
+    const { minOccurs = '1', maxOccurs = '1' } = node.attributes || {};
+    return {
+        min: Number(minOccurs),
+        max: maxOccurs === 'unbounded' ? Infinity : Number(maxOccurs),
+    };
+};
+
+const BUILT_IN_TYPES = {
+    string: () => true,
+    decimal: (v) => /^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(v),
+    boolean: (v) => /^(true|false|1|0)$/.test(v),
+    date: (v) => /^-?\d{4,}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])(Z|[+-]\d{2}:\d{2})?$/.test(v),
+    dateTime: (v) => /^-?\d{4,}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/.test(v),
+    time: (v) => /^([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/.test(v),
+    gYear: (v) => /^-?\d{4,}(Z|[+-]\d{2}:\d{2})?$/.test(v),
+    base64Binary: (v) => /^[A-Za-z0-9+/=\s]*$/.test(v),
+};
+
+const NUMERIC_TYPES = ['decimal'];
+
+const compileParticle = (node) => {
+    const name = localName(node.name);
+    const { min, max } = occurs(node);
+    switch (name) {
+        case 'element':
+            return {
+                kind: 'element', name: node.attributes.name, type: node.attributes.type, min, max,
+            };
+        case 'sequence':
+        case 'choice':
+            return {
+                kind: name, items: childElements(node).map(compileParticle), min, max,
+            };
+        case 'any':
+            return { kind: 'any', min, max };
+        default:
+            throw new Error(`Unsupported schema particle ${node.name}`);
+    }
+};
+
+const compileSimpleType = (node) => {
+    const restriction = childElements(node).find((e) => localName(e.name) === 'restriction');
+    if (restriction === undefined) {
+        throw new Error(`Unsupported simple type ${node.attributes.name}`);
+    }
+    const facets = childElements(restriction).reduce((pv, f) => {
+        const facet = localName(f.name);
+        const { value } = f.attributes;
+        if (facet === 'enumeration' || facet === 'pattern') {
+            return { ...pv, [facet]: [...(pv[facet] || []), value] };
+        }
+        return { ...pv, [facet]: value };
+    }, {});
+    return { base: restriction.attributes.base, facets };
+};
+
+const compileComplexType = (node) => {
+    const [content] = childElements(node).filter((e) => localName(e.name) !== 'annotation');
+    if (content === undefined) {
+        return { kind: 'empty' };
+    }
+    if (localName(content.name) === 'simpleContent') {
+        const extension = childElements(content).find((e) => localName(e.name) === 'extension');
+        return {
+            kind: 'simple',
+            base: extension.attributes.base,
+            attributes: childElements(extension)
+                .filter((e) => localName(e.name) === 'attribute')
+                .map((a) => ({
+                    name: a.attributes.name,
+                    type: a.attributes.type,
+                    required: a.attributes.use === 'required',
+                })),
+        };
+    }
+    return { kind: 'complex', content: compileParticle(content) };
+};
+
+/**
+ * Loads and compiles the schema in the supplied file.
+ *
+ * @returns {object}
+ */
+function loadSchema(file) {
+    const doc = xml2js(fs.readFileSync(file).toString(), { compact: false });
+    const root = childElements(doc).find((e) => localName(e.name) === 'schema');
+    return childElements(root).reduce((schema, node) => {
+        const { name } = node.attributes || {};
+        switch (localName(node.name)) {
+            case 'element':
+                return {
+                    ...schema,
+                    elements: { ...schema.elements, [name]: node.attributes.type },
+                };
+            case 'complexType':
+                return {
+                    ...schema,
+                    complexTypes: { ...schema.complexTypes, [name]: compileComplexType(node) },
+                };
+            case 'simpleType':
+                return {
+                    ...schema,
+                    simpleTypes: { ...schema.simpleTypes, [name]: compileSimpleType(node) },
+                };
+            default:
+                return schema;
+        }
+    }, {
+        targetNamespace: root.attributes.targetNamespace,
+        elements: {},
+        complexTypes: {},
+        simpleTypes: {},
+    });
+}
+
+const countDigits = (value) => {
+    const [int, frac = ''] = value.replace(/^[+-]/, '').split('.');
+    const fractionDigits = frac.replace(/0+$/, '').length;
+    const integerDigits = int.replace(/^0+/, '').length;
+    return { fractionDigits, totalDigits: integerDigits + fractionDigits };
+};
+
+/**
+ * Returns a list of problems with the supplied value when checked against the named simple type,
+ * or an empty list.
+ *
+ * @returns {array}
+ */
+function checkSimpleValue(schema, typeName, rawValue) {
+    if (typeName.startsWith(XS)) {
+        const builtIn = localName(typeName);
+        const check = BUILT_IN_TYPES[builtIn];
+        if (check === undefined) {
+            throw new Error(`Unsupported built-in type ${typeName}`);
+        }
+        const value = builtIn === 'string' ? rawValue : rawValue.trim();
+        return check(value) ? [] : [`'${rawValue}' is not a valid ${builtIn}`];
+    }
+    const type = schema.simpleTypes[typeName];
+    if (type === undefined) {
+        throw new Error(`Unknown simple type ${typeName}`);
+    }
+    const baseProblems = checkSimpleValue(schema, type.base, rawValue);
+    if (baseProblems.length > 0) {
+        return baseProblems;
+    }
+    const value = type.base === `${XS}string` ? rawValue : rawValue.trim();
+    const { facets } = type;
+    const problems = [];
+    const fail = (msg) => problems.push(`'${rawValue}' ${msg} (${typeName})`);
+    if (facets.enumeration && !facets.enumeration.includes(value)) {
+        fail(`is not one of ${facets.enumeration.join(', ')}`);
+    }
+    if (facets.pattern && !facets.pattern.some((p) => new RegExp(`^(?:${p})$`).test(value))) {
+        fail(`does not match pattern ${facets.pattern.join(' | ')}`);
+    }
+    if (facets.length !== undefined && value.length !== Number(facets.length)) {
+        fail(`must be exactly ${facets.length} characters long`);
+    }
+    if (facets.minLength !== undefined && value.length < Number(facets.minLength)) {
+        fail(`must be at least ${facets.minLength} characters long`);
+    }
+    if (facets.maxLength !== undefined && value.length > Number(facets.maxLength)) {
+        fail(`must be at most ${facets.maxLength} characters long`);
+    }
+    const numeric = NUMERIC_TYPES.includes(localName(type.base))
+        || schema.simpleTypes[type.base] !== undefined;
+    if (numeric && /^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(value)) {
+        const digits = countDigits(value);
+        const num = Number(value);
+        if (facets.totalDigits !== undefined && digits.totalDigits > Number(facets.totalDigits)) {
+            fail(`must have at most ${facets.totalDigits} digits`);
+        }
+        if (facets.fractionDigits !== undefined
+            && digits.fractionDigits > Number(facets.fractionDigits)) {
+            fail(`must have at most ${facets.fractionDigits} fraction digits`);
+        }
+        if (facets.minInclusive !== undefined && num < Number(facets.minInclusive)) {
+            fail(`must be at least ${facets.minInclusive}`);
+        }
+        if (facets.maxInclusive !== undefined && num > Number(facets.maxInclusive)) {
+            fail(`must be at most ${facets.maxInclusive}`);
+        }
+        if (facets.minExclusive !== undefined && num <= Number(facets.minExclusive)) {
+            fail(`must be greater than ${facets.minExclusive}`);
+        }
+    }
+    return problems;
+}
+
+// The names of the elements that can start a match of the supplied particle
+const firstNames = (particle) => {
+    switch (particle.kind) {
+        case 'element':
+            return [particle.name];
+        case 'any':
+            return ['*'];
+        case 'choice':
+            return particle.items.reduce((pv, i) => [...pv, ...firstNames(i)], []);
+        default: {
+            const names = [];
+            particle.items.every((item) => {
+                names.push(...firstNames(item));
+                return item.min === 0;
+            });
+            return names;
+        }
+    }
+};
+
+// The names of all the elements the supplied particle can contain
+const elementNames = (particle) => {
+    switch (particle.kind) {
+        case 'element':
+            return [particle.name];
+        case 'any':
+            return ['*'];
+        default:
+            return particle.items.reduce((pv, i) => [...pv, ...elementNames(i)], []);
+    }
+};
+
+const canStart = (particle, child) => child !== undefined && firstNames(particle)
+    .some((n) => n === '*' || n === localName(child.name));
+
+const findBranch = (choice, child) => choice.items.find((i) => canStart(i, child));
+
+const textOf = (node) => (node.elements || [])
+    .filter((e) => e.type === 'text' || e.type === 'cdata')
+    .map((e) => e.text || e.cdata)
+    .join('');
+
+/**
+ * Validates parsed XML against a compiled schema.
+ */
+class Validator {
+    constructor(schema) {
+        this.schema = schema;
+        this.violations = [];
+    }
+
+    report(path, message) {
+        this.violations.push({ path, message });
+    }
+
+    // Matches the items of a sequence once against children[pos...]. skipEarlier is set for the
+    // first match of the content of a type, where an element that only belongs earlier in the
+    // sequence is out of order; it is skipped rather than reporting every element after it.
+    matchSequenceItems(particle, children, pos, parentPath, paths, skipEarlier) {
+        let next = pos;
+        for (let i = 0; i < particle.items.length; i += 1) {
+            const remaining = elementNames({ kind: 'sequence', items: particle.items.slice(i) });
+            while (skipEarlier && next < children.length && !remaining.includes('*')
+                && !remaining.includes(localName(children[next].name))) {
+                this.report(paths[next], `Unexpected element ${localName(children[next].name)}`);
+                next += 1;
+            }
+            next = this.matchParticle(particle.items[i], children, next, parentPath, paths);
+        }
+        return next;
+    }
+
+    // Matches a particle against children[pos...], returning the position after the match. top is
+    // set for the content of a type, where nothing can follow the particle.
+    matchParticle(particle, children, pos, parentPath, paths, top = false) {
+        let next = pos;
+        let count = 0;
+        if (particle.kind === 'sequence') {
+            // A required sequence is always matched so that each missing element is reported
+            while (count < particle.max
+                && (count < particle.min || canStart(particle, children[next]))) {
+                const before = next;
+                next = this.matchSequenceItems(
+                    particle, children, next, parentPath, paths, top && count === 0,
+                );
+                count += 1;
+                if (next === before) {
+                    break;
+                }
+            }
+            return next;
+        }
+        while (count < particle.max && next < children.length) {
+            const before = next;
+            if (particle.kind === 'element') {
+                if (localName(children[next].name) !== particle.name) {
+                    break;
+                }
+                this.validateElement(children[next], particle.type, paths[next]);
+                next += 1;
+            } else if (particle.kind === 'any') {
+                next += 1;
+            } else {
+                const branch = findBranch(particle, children[next]);
+                if (branch === undefined) {
+                    break;
+                }
+                next = this.matchParticle(branch, children, next, parentPath, paths);
+            }
+            if (next === before) {
+                break;
+            }
+            count += 1;
+        }
+        if (count < particle.min) {
+            const found = next < children.length ? `, found ${localName(children[next].name)}` : '';
+            if (particle.kind === 'element') {
+                this.report(parentPath, `Missing required element ${particle.name}${found}`);
+            } else {
+                this.report(parentPath, `Expected one of ${firstNames(particle).join(', ')}${found}`);
+            }
+        }
+        return next;
+    }
+
+    validateElement(node, typeName, path) {
+        if (typeName.startsWith(XS) || this.schema.simpleTypes[typeName] !== undefined) {
+            if (childElements(node).length > 0) {
+                this.report(path, 'Element must not contain child elements');
+                return;
+            }
+            checkSimpleValue(this.schema, typeName, textOf(node))
+                .forEach((problem) => this.report(path, problem));
+            return;
+        }
+        const type = this.schema.complexTypes[typeName];
+        if (type === undefined) {
+            throw new Error(`Unknown type ${typeName}`);
+        }
+        if (type.kind === 'simple') {
+            if (childElements(node).length > 0) {
+                this.report(path, 'Element must not contain child elements');
+                return;
+            }
+            checkSimpleValue(this.schema, type.base, textOf(node))
+                .forEach((problem) => this.report(path, problem));
+            const attributes = node.attributes || {};
+            type.attributes.forEach((attr) => {
+                if (attributes[attr.name] === undefined) {
+                    if (attr.required) {
+                        this.report(path, `Missing required attribute ${attr.name}`);
+                    }
+                    return;
+                }
+                checkSimpleValue(this.schema, attr.type, String(attributes[attr.name]))
+                    .forEach((problem) => this.report(`${path}/@${attr.name}`, problem));
+            });
+            return;
+        }
+        if (textOf(node).trim() !== '') {
+            this.report(path, 'Element must not contain text');
+        }
+        const all = childElements(node);
+        // Sibling positions are only shown where an element name repeats
+        const allNames = all.map((c) => localName(c.name));
+        const allPaths = all.map((c, i) => {
+            const name = allNames[i];
+            const same = allNames.filter((n) => n === name).length;
+            const index = allNames.slice(0, i).filter((n) => n === name).length + 1;
+            return same > 1 ? `${path}/${name}[${index}]` : `${path}/${name}`;
+        });
+        // Elements the content model knows nothing about are reported once and left out of the
+        // match, so that they do not also cause the elements around them to be reported
+        const known = type.kind === 'empty' ? [] : elementNames(type.content);
+        const keep = allNames.map((n) => known.includes('*') || known.includes(n));
+        keep.forEach((k, i) => {
+            if (!k) {
+                this.report(allPaths[i], `Unexpected element ${allNames[i]}`);
+            }
+        });
+        const children = all.filter((c, i) => keep[i]);
+        const paths = allPaths.filter((p, i) => keep[i]);
+        let pos = type.kind === 'empty' ? 0 : this.matchParticle(type.content, children, 0, path, paths, true);
+        while (pos < children.length) {
+            this.report(paths[pos], `Unexpected element ${localName(children[pos].name)}`);
+            pos += 1;
+        }
+    }
+}
+
+/**
+ * Validates the supplied XML string against a schema loaded with loadSchema, returning a list of
+ * violations, empty when the document is valid.
+ *
+ * @returns {array}
+ */
+function validate(schema, xml) {
+    let doc;
+    try {
+        doc = xml2js(xml, { compact: false });
+    } catch (err) {
+        return [{ path: '/', message: `Malformed XML: ${err.message.split('\n')[0]}` }];
+    }
+    const [root] = childElements(doc);
+    if (root === undefined) {
+        return [{ path: '/', message: 'Document has no root element' }];
+    }
+    const name = localName(root.name);
+    const path = `/${name}`;
+    if (schema.elements[name] === undefined) {
+        return [{ path, message: `Unexpected root element ${name}` }];
+    }
+    const attributes = root.attributes || {};
+    const prefix = root.name.includes(':') ? `:${root.name.split(':')[0]}` : '';
+    if (attributes[`xmlns${prefix}`] !== schema.targetNamespace) {
+        return [{
+            path,
+            message: `Document namespace ${attributes[`xmlns${prefix}`]} is not ${schema.targetNamespace}`,
+        }];
+    }
+    const validator = new Validator(schema);
+    validator.validateElement(root, schema.elements[name], path);
+    return validator.violations;
+}
+
+module.exports = {
+    loadSchema,
+    validate,
+};
@@ -7,6 +7,7 @@ const chance = new require('chance')();
 const util = require('util');
 const Decimal = require('decimal.js');
 const currencies = require('../src/settlement/currencies.json');
+const { parseAccountKey } = require('../src/settlement/util');
 
 // Some constants that can be configured
 const numAfterDecimal = 2;
@@ -117,10 +118,45 @@ const genDfspConf = participants => participants.reduce((pv, cv) => ({
     [cv.id]: {
         name: `DFSP-${cv.id}`,
         country: 'CI',
-        accountId: genAccountId()
+        accountId: String(genAccountId())
     }
 }), {});
 
+// Fixed fixtures for tests that check exact output: a settlement window, and the DFSP config of
+// participants 1 to 4. Tests needing a different config for a DFSP override its entry.
+const windowId = 558;
+const dfspConf = {
+    1: { name: 'DFSP-1', country: 'CI', accountId: '0001234567' },
+    2: { name: 'DFSP-2', country: 'CI', accountId: '0002345678' },
+    3: { name: 'DFSP-3', country: 'CI', accountId: '0003456789' },
+    4: { name: 'DFSP-4', country: 'CI', accountId: '0004567890' }
+};
+
+// A settlement, with ID 12 unless fields say otherwise, from rows of [ participantId, amount,
+// currency ]; currency defaults to opts.currency, or USD. The first account of participant n is
+// n0, and each further row for the same participant adds account n1, n2 and so on. Other opts,
+// e.g. createdDate, are copied to the settlement.
+const genSettlement = (rows, { currency = 'USD', ...fields } = {}) => ({
+    id: 12,
+    ...fields,
+    participants: rows.reduce((ps, [ id, amount, cur = currency ]) => {
+        const participant = ps.find(p => p.id === id) || { id, accounts: [] };
+        const account = { id: id * 10 + participant.accounts.length, netSettlementAmount: { amount, currency: cur } };
+        const updated = { ...participant, accounts: [ ...participant.accounts, account ] };
+        return participant.accounts.length === 0 ? [ ...ps, updated ] : ps.map(p => p === participant ? updated : p);
+    }, [])
+});
+
+// Re-key a payment matrix from participant account keys to participant IDs. Only meaningful when
+// each participant has a single account, as is the case for genInput.
+const matrixByParticipant = matrix => Object.entries(matrix).reduce((pv, [payer, payments]) => ({
+    ...pv,
+    [parseAccountKey(payer).participantId]: Object.entries(payments).reduce((pv2, [payee, amount]) => ({
+        ...pv2,
+        [parseAccountKey(payee).participantId]: amount
+    }), {})
+}), {});
+
 module.exports = {
     randomly,
     randomSwitchCurrency,
@@ -130,5 +166,9 @@ module.exports = {
     genData,
     genDataSimple,
     genInput,
-    genDfspConf
+    genDfspConf,
+    genSettlement,
+    windowId,
+    dfspConf,
+    matrixByParticipant
 };
@@ -844,5 +844,49 @@ describe('API:', () => {
                 });
             });
         });
+        describe('participantFundsInReserve:', () => {
+            let postRestore;
+            let postStub;
+
+            beforeEach(() => {
+                postStub = sinon.stub().resolves({});
+                postRestore = api.__set__('post', postStub);
+            });
+
+            afterEach(() => {
+                postRestore();
+            });
+
+            describe('Failures:', () => {
+                it('should reject an amount with more decimal places than the currency allows.', async () => {
+                    await assert.rejects(
+                        api.participantFundsInReserve('http://fake-endpoint.mojaloop', 'dfsp1', 2,
+                            '100.5', 'deposit', 'XOF'),
+                        { message: 'Amount 100.5 has more than the 0 decimal places allowed for XOF' },
+                    );
+                    assert.strictEqual(postStub.callCount, 0);
+                });
+                it('should reject a currency that is not in the currency registry.', async () => {
+                    await assert.rejects(
+                        api.participantFundsInReserve('http://fake-endpoint.mojaloop', 'dfsp1', 2,
+                            '100', 'deposit', 'ABC'),
+                        { message: /^Unsupported currency ABC\./ },
+                    );
+                    assert.strictEqual(postStub.callCount, 0);
+                });
+            });
+            describe('Success:', () => {
+                it('should post the amount without trailing zeros.', async () => {
+                    await api.participantFundsInReserve('http://fake-endpoint.mojaloop', 'dfsp1', 2,
+                        '100.50', 'deposit', 'USD', { transferId: 'abc' });
+
+                    assert.strictEqual(postStub.getCall(0).args[0], 'participants/dfsp1/accounts/2');
+                    assert.deepEqual(postStub.getCall(0).args[1].amount, {
+                        amount: '100.5',
+                        currency: 'USD',
+                    });
+                });
+            });
+        });
     });
 });
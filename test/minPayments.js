@@ -16,14 +16,14 @@ Decimal.set({ precision: 22 });
 test('Test simple input', t => {
     const [ dr, cr ] = support.randomSwitchCurrencyPair();
     const input = support.genInput({ data: () => [{ id: 1, amount: dr }, { id: 2, amount: cr }] });
-    const { matrix } = algo(input);
+    const matrix = support.matrixByParticipant(algo(input).USD.matrix);
     t.deepEqual(matrix, { '1': { '2': dr } }, 'Check result is as expected');
 });
 
 test('Check simple change of input ordering', t => {
     const [ dr, cr ] = support.randomSwitchCurrencyPair();
     const input = support.genInput({ data: () => [{ id: 1, amount: cr }, { id: 2, amount: dr }] });
-    const { matrix } = algo(input);
+    const matrix = support.matrixByParticipant(algo(input).USD.matrix);
     t.deepEqual(matrix, { '2': { '1': dr } }, 'Check result is as expected');
 });
 
@@ -33,17 +33,63 @@ test('Check duplicate participants throws an error', t => {
     t.throws(algo.bind(null, input), { message: 'Participant appears more than once in settlement'});
 });
 
-test('Check mixed currencies throws an error', t => {
-    // 50 random strings means almost no chance of all currencies being the same
-    const input = support.genInput({ minTx: 50, maxTx: 50, currency: () => chance.string(), fixed: 0 });
-    t.throws(algo.bind(null, input), { message: 'Not all currencies are the same'});
+test('Check mixed currencies are settled separately', t => {
+    const [ usdDr, usdCr ] = support.randomSwitchCurrencyPair();
+    const [ xofDr, xofCr ] = support.randomSwitchCurrencyPair({ fixed: 0 });
+    const usd = support.genInput({ data: () => [{ id: 1, amount: usdDr }, { id: 2, amount: usdCr }] });
+    const xof = support.genInput({ currency: () => 'XOF', data: () => [{ id: 3, amount: xofCr }, { id: 4, amount: xofDr }] });
+    const input = { ...usd, participants: [ ...usd.participants, ...xof.participants ] };
+    const result = algo(input);
+    t.deepEqual(Object.keys(result), [ 'USD', 'XOF' ]);
+    t.is(result.USD.currency, 'USD');
+    t.deepEqual(support.matrixByParticipant(result.USD.matrix), { '1': { '2': usdDr } });
+    t.is(result.XOF.currency, 'XOF');
+    t.deepEqual(support.matrixByParticipant(result.XOF.matrix), { '4': { '3': xofDr } });
+});
+
+test('Check each currency must sum to zero', t => {
+    const [ dr, cr ] = support.randomSwitchCurrencyPair({ fixed: 0 });
+    const usd = support.genInput({ data: () => [{ id: 1, amount: dr }] });
+    const xof = support.genInput({ currency: () => 'XOF', data: () => [{ id: 2, amount: cr }] });
+    const input = { ...usd, participants: [ ...usd.participants, ...xof.participants ] };
+    t.throws(algo.bind(null, input), { message: /Creditors and debtors do not sum to zero, they sum to -?\d+ USD/ });
+});
+
+test('Check participant accounts are netted separately', t => {
+    const input = support.genInput({ data: () => [] });
+    input.participants = [
+        { id: 1, accounts: [
+            { id: 10, netSettlementAmount: { amount: '5', currency: 'USD' } },
+            { id: 11, netSettlementAmount: { amount: '-3', currency: 'USD' } },
+            { id: 12, netSettlementAmount: { amount: '-700', currency: 'XOF' } }
+        ] },
+        { id: 2, accounts: [
+            { id: 20, netSettlementAmount: { amount: '-2', currency: 'USD' } },
+            { id: 21, netSettlementAmount: { amount: '700', currency: 'XOF' } }
+        ] }
+    ];
+    t.deepEqual(algo(input), {
+        USD: { currency: 'USD', matrix: { '1:10': { '1:11': '3', '2:20': '2' } } },
+        XOF: { currency: 'XOF', matrix: { '2:21': { '1:12': '700' } } }
+    });
+});
+
+test('Check duplicate participant accounts throw an error', t => {
+    const input = support.genInput({ data: () => [] });
+    input.participants = [
+        { id: 1, accounts: [
+            { id: 10, netSettlementAmount: { amount: '5', currency: 'USD' } },
+            { id: 10, netSettlementAmount: { amount: '-5', currency: 'USD' } }
+        ] }
+    ];
+    t.throws(algo.bind(null, input), { message: 'Account 10 appears more than once for participant 1 in settlement' });
 });
 
 test('Check invalid currency throws an error', t => {
     const curr = 'ABCD'; // none have a four-digit code
     const data = () => support.genDataSimple({ maxTx: 1, minTx: 1 });
     const input = support.genInput({ currency: () => curr, data, fixed: 0 });
-    t.throws(algo.bind(null, input), { message: new RegExp(`Unsupported currency ${curr}. Add a new currency to currencies\.json`)});
+    t.throws(algo.bind(null, input), { message: new RegExp(`Unsupported currency ${curr}. Add it with registerCurrency or loadCurrencies`)});
 });
 
 test('Check invalid settlement amount throws an error', t => {
@@ -87,7 +133,7 @@ test('Test pathological floating-point values', t => {
         { id: 3, amount: '-0.3' }
     ]});
     let matrix;
-    t.notThrows(() => { matrix = algo(input).matrix; }, 'hello');
+    t.notThrows(() => { matrix = support.matrixByParticipant(algo(input).USD.matrix); }, 'hello');
     t.deepEqual(matrix, { '1': { '3': '0.1' }, '2': { '3': '0.2' } });
 });
 
@@ -100,7 +146,7 @@ test('Fuzz', t => {
     const input = support.genInput({ data: () => [ ...credits, ...debits ].sort(support.randomly) });
 
     // Run algo
-    const { matrix } = algo(input);
+    const matrix = support.matrixByParticipant(algo(input).USD.matrix);
 
     // A couple of utilities for the following assertions
     const sumArr = a => a.reduce((pv, cv) => pv.plus(cv), Decimal(0));
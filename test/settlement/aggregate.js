@@ -0,0 +1,65 @@
+/* eslint-disable no-underscore-dangle */
+const test = require('ava');
+const { xml2js } = require('xml-js');
+const {
+    aggregateSettlements, comparePaymentFile, generateAggregatePaymentFile, parsePaymentFile,
+} = require('../../src/settlement').util;
+const { dfspConf, genSettlement } = require('../_support');
+
+const settlement = (id, windowId, createdDate, participants) => genSettlement(participants, {
+    currency: 'XOF',
+    id,
+    state: 'PENDING_SETTLEMENT',
+    createdDate,
+    settlementWindows: [{ id: windowId }],
+});
+
+const saturday = settlement(12, 558, '2020-06-06T10:00:00.000Z', [[1, '100'], [2, '-100']]);
+const sunday = settlement(13, 559, '2020-06-07T10:00:00.000Z', [[2, '150'], [3, '-150']]);
+
+test('Settlements are netted into one position per participant account', (t) => {
+    const input = aggregateSettlements([saturday, sunday]);
+    t.deepEqual(input.settlementIds, [12, 13]);
+    t.deepEqual(input.settlementWindows, [{ id: 558 }, { id: 559 }]);
+    t.is(input.createdDate, '2020-06-07T10:00:00.000Z');
+    t.deepEqual(input.participants.map((p) => [
+        p.id, p.accounts[0].id, p.accounts[0].netSettlementAmount.amount,
+    ]), [
+        [1, 10, '100'],
+        [2, 20, '50'],
+        [3, 30, '-150'],
+    ]);
+});
+
+test('Settlements and windows cannot be aggregated twice', (t) => {
+    t.throws(() => aggregateSettlements([saturday, saturday]), {
+        message: 'Settlement 12 is included more than once',
+    });
+    const overlapping = { ...sunday, settlementWindows: [{ id: 558 }] };
+    t.throws(() => aggregateSettlements([saturday, overlapping]), {
+        message: 'Settlement window 558 is in more than one settlement',
+    });
+    t.throws(() => aggregateSettlements([
+        saturday, settlement(14, 560, undefined, [[1, '5', 'USD'], [2, '-5', 'USD']]),
+    ]), {
+        message: 'Account 10 of participant 1 is in XOF and USD in different settlements',
+    });
+    t.throws(() => aggregateSettlements([]), { message: 'No settlements to aggregate' });
+});
+
+test('One payment file settles every window', (t) => {
+    const xml = generateAggregatePaymentFile([saturday, sunday], dfspConf, undefined, {
+        ids: 'deterministic', validate: true,
+    });
+    const pmtInf = xml2js(xml, { compact: true }).Document.CstmrCdtTrfInitn.PmtInf;
+    const txs = [].concat(pmtInf).reduce((pv, p) => pv.concat(p.CdtTrfTxInf), []);
+    t.deepEqual(txs.map((tx) => tx.RmtInf.Ustrd._text), [
+        'Settlement Window 558, 559',
+        'Settlement Window 558, 559',
+    ]);
+    const parsed = parsePaymentFile(xml, dfspConf);
+    t.deepEqual(parsed.matrix, { 1: { 3: '100' }, 2: { 3: '50' } });
+    t.is(parsed.windowId, '558, 559');
+    t.true(comparePaymentFile(parsed, aggregateSettlements([saturday, sunday]), dfspConf).equal);
+    t.false(comparePaymentFile(parsed, saturday, dfspConf).equal);
+});
@@ -0,0 +1,61 @@
+/* eslint-disable no-underscore-dangle */
+const test = require('ava');
+const { xml2js } = require('xml-js');
+const {
+    generatePaymentFile, parsePaymentFile, validateBic, validateDfspConf, validateIban,
+} = require('../../src/settlement').util;
+const support = require('../_support');
+
+const dfspConf = {
+    ...support.dfspConf,
+    1: { name: 'DFSP-1', country: 'CI', iban: 'CI93 CI00 8011 1301 1342 9120 0589' },
+};
+
+const input = support.genSettlement([[1, '5'], [2, '-5']], { currency: 'XOF' });
+
+test('IBANs are validated', (t) => {
+    ['GB82 WEST 1234 5698 7654 32', 'DE89370400440532013000', 'CI93CI0080111301134291200589']
+        .forEach((iban) => t.deepEqual(validateIban(iban), { valid: true }));
+    t.deepEqual(
+        [
+            'GB82 WEST 1234 5698 7654 33',
+            'DE8937040044053201300',
+            'US12345678901234',
+            'GB82-WEST',
+            82,
+        ].map((iban) => validateIban(iban).message),
+        [
+            "'GB82 WEST 1234 5698 7654 33' is not an IBAN: the check digits are wrong, check for a typing error",
+            "'DE8937040044053201300' is not an IBAN: DE IBANs are 22 characters long, not 21",
+            "'US12345678901234' is not an IBAN: US does not use IBANs",
+            "'GB82-WEST' is not an IBAN: it must be a country code, two check digits and up to 30 letters or digits",
+            'IBAN must be a string, not number',
+        ],
+    );
+});
+
+test('BICs are validated', (t) => {
+    ['CITICIAX', 'DEUTDEFF500'].forEach((bic) => t.deepEqual(validateBic(bic), { valid: true }));
+    t.deepEqual(['CITIQQAX', 'CITI1AXX', 'citiciax'].map((bic) => validateBic(bic).message), [
+        "'CITIQQAX' is not a BIC: QQ is not a country code",
+        "'CITI1AXX' is not a BIC: it must be 8 or 11 upper case letters or digits, of which the first six are letters",
+        "'citiciax' is not a BIC: it must be 8 or 11 upper case letters or digits, of which the first six are letters",
+    ]);
+});
+
+test('IBANs are written to Id/IBAN', (t) => {
+    const xml = generatePaymentFile(558, input, dfspConf, undefined, { validate: true });
+    const pmtInf = xml2js(xml, { compact: true }).Document.CstmrCdtTrfInitn.PmtInf;
+    t.deepEqual(pmtInf.DbtrAcct.Id, { IBAN: { _text: 'CI93CI0080111301134291200589' } });
+    t.deepEqual(pmtInf.CdtTrfTxInf.CdtrAcct.Id, { Othr: { Id: { _text: '2345678' } } });
+    t.deepEqual(parsePaymentFile(xml, dfspConf).matrix, { 1: { 2: '5' } });
+});
+
+test('DFSP configs with invalid IBANs are rejected', (t) => {
+    const conf = { ...dfspConf, 1: { ...dfspConf[1], iban: 'CI93CI0080111301134291200588' } };
+    t.deepEqual(validateDfspConf(conf).errors, [{
+        path: '1.iban',
+        message: "1.iban 'CI93CI0080111301134291200588' is not an IBAN: the check digits are wrong, check for a typing error",
+    }]);
+    t.throws(() => generatePaymentFile(558, input, conf), { message: /^DFSP config is invalid: 1.iban/ });
+});
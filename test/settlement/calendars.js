@@ -0,0 +1,70 @@
+/* eslint-disable no-underscore-dangle */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('ava');
+const { xml2js } = require('xml-js');
+const {
+    generatePaymentFile, isBusinessDay, loadCalendars, nextExecutionDate, registerCalendar,
+} = require('../../src/settlement').util;
+const { dfspConf, genSettlement, windowId } = require('../_support');
+
+const input = genSettlement([
+    [1, '5', 'USD'],
+    [1, '-2000', 'XOF'],
+    [2, '-5', 'USD'],
+    [2, '2000', 'XOF'],
+]);
+
+const calendar = { weekend: [0, 6], holidays: ['2020-06-09', '12-25'], cutOff: '16:00' };
+
+// 2020-06-05 is a Friday
+const at = (time) => new Date(`2020-06-${time}Z`);
+
+test('Execution dates are business days', (t) => {
+    t.true(isBusinessDay(calendar, '2020-06-08'));
+    t.false(isBusinessDay(calendar, '2020-06-06'));
+    t.false(isBusinessDay(calendar, '2021-12-25'));
+    t.is(nextExecutionDate(calendar, at('05T09:00:00')), '2020-06-05');
+    t.is(nextExecutionDate(calendar, at('06T09:00:00')), '2020-06-08');
+    t.is(nextExecutionDate(calendar, at('05T16:30:00')), '2020-06-08');
+    t.is(nextExecutionDate(calendar, at('08T16:30:00')), '2020-06-10');
+});
+
+test('Execution dates can be offset by business days', (t) => {
+    t.is(nextExecutionDate(calendar, at('05T09:00:00'), 1), '2020-06-08');
+    t.is(nextExecutionDate(calendar, at('05T09:00:00'), 2), '2020-06-10');
+    t.is(nextExecutionDate(calendar, at('06T09:00:00'), 1), '2020-06-08');
+    t.throws(() => nextExecutionDate(calendar, at('05T09:00:00'), -1), {
+        message: 'Execution date offset -1 must be a non-negative whole number of business days',
+    });
+});
+
+test('Malformed calendars are rejected', (t) => {
+    t.throws(() => registerCalendar('XX', { weekend: [0, 1, 2, 3, 4, 5, 6] }), {
+        message: 'Calendar weekend must leave at least one business day in the week',
+    });
+    t.throws(() => registerCalendar('XX', { holidays: ['25/12'] }), {
+        message: 'Calendar holidays must be a list of dates, YYYY-MM-DD, or annual dates, MM-DD',
+    });
+    t.throws(() => nextExecutionDate('ZZZ', at('05T09:00:00')), {
+        message: /^Unknown calendar ZZZ\. Available calendars are:/,
+    });
+});
+
+test('Payment files are executed on the next business day of each currency', (t) => {
+    const file = path.join(os.tmpdir(), `calendars-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ XOF: { holidays: ['2020-06-08'] } }));
+    try {
+        t.deepEqual(loadCalendars(file), ['XOF']);
+    } finally {
+        fs.unlinkSync(file);
+    }
+    const executionDates = (opts) => xml2js(generatePaymentFile(
+        windowId, input, dfspConf, undefined, { clock: () => at('06T09:00:00'), ...opts },
+    ), { compact: true }).Document.CstmrCdtTrfInitn.PmtInf.map((p) => p.ReqdExctnDt._text);
+
+    t.deepEqual(executionDates(), ['2020-06-08', '2020-06-09']);
+    t.deepEqual(executionDates({ executionOffset: 2 }), ['2020-06-09', '2020-06-10']);
+    t.deepEqual(executionDates({ calendar }), ['2020-06-08', '2020-06-08']);
+});
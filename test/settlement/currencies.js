@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('ava');
+const {
+    formatAmount, getMinorUnits, isSupported, loadCurrencies, minPaymentsAlgorithm, normaliseAmount,
+    registerCurrency, roundAmount,
+} = require('../../src/settlement').util;
+const { genSettlement } = require('../_support');
+
+const input = genSettlement([[1, '10.5'], [2, '-10.5']], { currency: 'XTS' });
+
+test('Bundled currencies are supported', (t) => {
+    t.true(isSupported('USD'));
+    t.false(isSupported('ABC'));
+    t.is(getMinorUnits('XOF'), 0);
+    t.is(getMinorUnits('USD'), 2);
+    t.throws(() => getMinorUnits('ABC'), {
+        message: 'Unsupported currency ABC. Add it with registerCurrency or loadCurrencies.',
+    });
+});
+
+test('Amounts are rounded and formatted to the minor units of their currency', (t) => {
+    t.is(roundAmount('USD', '10.125'), '10.13');
+    t.is(roundAmount('USD', '10.125', 0), '10.12');
+    t.is(roundAmount('XOF', '1500.5'), '1501');
+    t.is(formatAmount('USD', '1500'), '1500.00');
+    t.is(formatAmount('XOF', '1500.4'), '1500');
+    t.is(normaliseAmount('USD', '100.50'), '100.5');
+    t.is(normaliseAmount('XOF', 200), '200');
+    t.throws(() => normaliseAmount('XOF', '100.5'), {
+        message: 'Amount 100.5 has more than the 0 decimal places allowed for XOF',
+    });
+    t.throws(() => normaliseAmount('USD', 'ten'), { message: 'Amount ten is not a number' });
+});
+
+// Each test registers its own codes, none of them bundled, so that the registry other tests see
+// is unchanged whatever order the tests run in
+test('Currencies can be added and overridden at runtime', (t) => {
+    t.throws(() => minPaymentsAlgorithm(input), { message: /^Unsupported currency XTS\./ });
+    registerCurrency('XTS', { dp: 1, desc: 'Code reserved for testing' });
+    t.deepEqual(minPaymentsAlgorithm(input).XTS.matrix, { '1:10': { '2:20': '10.5' } });
+    registerCurrency('XTS', { dp: 0 });
+    t.throws(() => minPaymentsAlgorithm(input), { message: /^XTS allows 0 decimal places/ });
+    t.throws(() => registerCurrency('xts', { dp: 0 }), {
+        message: 'Currency code xts must be three uppercase letters',
+    });
+    t.throws(() => registerCurrency('XTS', { dp: 5 }), {
+        message: 'Currency XTS minor units must be a whole number from 0 to 4, not 5',
+    });
+});
+
+test('Currencies are loaded from a file only if all are valid', (t) => {
+    const file = path.join(os.tmpdir(), `currencies-${process.pid}.json`);
+    try {
+        fs.writeFileSync(file, JSON.stringify({ XXA: { dp: 2 }, XXB: { dp: -1 } }));
+        t.throws(() => loadCurrencies(file), {
+            message: 'Currency XXB minor units must be a whole number from 0 to 4, not -1',
+        });
+        t.false(isSupported('XXA'));
+        fs.writeFileSync(file, JSON.stringify({ XXA: { dp: 2 }, XXC: { dp: 3 } }));
+        t.deepEqual(loadCurrencies(file), ['XXA', 'XXC']);
+    } finally {
+        fs.unlinkSync(file);
+    }
+    t.true(isSupported('XXA'));
+    t.is(getMinorUnits('XXC'), 3);
+    t.is(getMinorUnits('XOF'), 0);
+});
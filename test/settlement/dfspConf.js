@@ -0,0 +1,64 @@
+const test = require('ava');
+const { generatePaymentFile, validateDfspConf } = require('../../src/settlement').util;
+const support = require('../_support');
+
+const dfspConf = {
+    ...support.dfspConf,
+    2: { name: 'DFSP-2', country: 'CI', accounts: { 20: { accountId: '0002345678' } } },
+};
+
+const { participants } = support.genSettlement([[1, '5'], [2, '-5']]);
+
+test('Valid DFSP configs have no errors', (t) => {
+    t.deepEqual(validateDfspConf(dfspConf, participants), { valid: true, errors: [] });
+});
+
+test('Every problem in a DFSP config is reported', (t) => {
+    const result = validateDfspConf({
+        1: { name: 'DFSP-1', country: 'ci', accountId: 1234567 },
+        2: { country: 'XX', accounts: { 20: { name: '' } } },
+        3: { name: 'DFSP-3', country: 'CI', accountId: '0123/456' },
+        4: 'DFSP-4',
+    });
+    t.false(result.valid);
+    t.deepEqual(result.errors, [
+        { path: '1.country', message: "1.country 'ci' is not an ISO 3166-1 alpha-2 country code; did you mean 'CI'?" },
+        { path: '1.accountId', message: "1.accountId must be a string, not number; quote it, e.g. '1234567'" },
+        { path: '2.name', message: '2 is missing required field name' },
+        { path: '2.country', message: "2.country 'XX' is not an ISO 3166-1 alpha-2 country code" },
+        { path: '2.accounts.20.accountId', message: '2.accounts.20 has no bank account; set accountId or iban' },
+        { path: '2.accounts.20.name', message: '2.accounts.20.name must not be empty' },
+        { path: '3.accountId', message: "3.accountId '0123/456' is not a valid account ID: use 1 to 34 letters, digits, spaces or hyphens" },
+        { path: '4', message: '4 must be an object, not string' },
+    ]);
+    t.deepEqual(validateDfspConf([]).errors.map((e) => e.message), [
+        'DFSP config must be an object keyed by participant ID, not array',
+    ]);
+});
+
+test('Settlement participants must have bank accounts in the DFSP config', (t) => {
+    const result = validateDfspConf(dfspConf, [
+        ...participants,
+        {
+            id: 2,
+            accounts: [
+                { id: 21, netSettlementAmount: { amount: '3', currency: 'XOF' } },
+                { id: 22, netSettlementAmount: { amount: '0', currency: 'XOF' } },
+            ],
+        },
+        { id: 5, accounts: [] },
+    ]);
+    t.deepEqual(result.errors.map((e) => e.message), [
+        'Ledger account 21 of participant 2 has no bank account; set 2.accountId, 2.iban or 2.accounts.21.accountId',
+        'Participant 5 is in the settlement but not in the DFSP config',
+    ]);
+});
+
+test('Payment files are not generated from invalid DFSP configs', (t) => {
+    const conf = { ...dfspConf, 1: { name: 'DFSP-1', country: 'ci', accountId: 1234567 } };
+    const err = t.throws(() => generatePaymentFile(
+        support.windowId, { id: 12, participants }, conf,
+    ));
+    t.is(err.message, "DFSP config is invalid: 1.country 'ci' is not an ISO 3166-1 alpha-2 country code; did you mean 'CI'?; 1.accountId must be a string, not number; quote it, e.g. '1234567'");
+    t.deepEqual(err.errors.map((e) => e.path), ['1.country', '1.accountId']);
+});
@@ -0,0 +1,81 @@
+/* eslint-disable no-underscore-dangle */
+const rewire = require('rewire');
+const test = require('ava');
+const { HTTPResponseError } = require('../../src/requests/requests');
+const {
+    InvalidStateTransitionError, NotFoundError, ServerError, SettlementApiError,
+    SettlementNotFoundError, SettlementWindowNotFoundError, ValidationError,
+} = require('../../src/settlement').errors;
+
+const SettlementsModel = rewire('../../src/settlement/api');
+
+// An error response from the switch, as thrown by requests.js
+const errorResponse = (status, errorCode, errorDescription) => new HTTPResponseError({
+    msg: `HTTP request returned error response ${status}`,
+    res: { status },
+    resp: { errorInformation: { errorCode, errorDescription } },
+});
+
+const failing = (method, err) => {
+    SettlementsModel.__set__(method, async () => { throw err; });
+    return new SettlementsModel({ endpoint: 'http://fake-endpoint.mojaloop' });
+};
+
+test('Not found responses are typed by resource', async (t) => {
+    const err = await t.throwsAsync(
+        failing('get', errorResponse(404, '3200', 'Settlement 12 does not exist')).getSettlement(12),
+        { instanceOf: SettlementNotFoundError, message: 'Settlement 12 does not exist (3200)' },
+    );
+    t.true(err instanceof NotFoundError);
+    t.true(err instanceof HTTPResponseError);
+    t.is(err.errorCode, '3200');
+    t.is(err.statusCode, 404);
+    t.is(err.getData().res.status, 404);
+
+    await t.throwsAsync(
+        failing('get', errorResponse(400, '3200', 'Not here')).getSettlementWindow(558),
+        { instanceOf: SettlementWindowNotFoundError },
+    );
+});
+
+test('Searches that find nothing return an empty list whatever the description', async (t) => {
+    t.deepEqual(await failing('get', errorResponse(404, '3200', 'Reworded')).getSettlements({ state: 'SETTLED' }), []);
+    t.deepEqual(await failing('get', errorResponse(400, '3200', 'Reworded')).getSettlementWindows({ state: 'OPEN' }), []);
+    const noCode = new HTTPResponseError({ msg: 'Not found', res: { status: 404 }, resp: {} });
+    t.deepEqual(await failing('get', noCode).getSettlementWindows({ state: 'OPEN' }), []);
+    await t.throwsAsync(
+        failing('get', errorResponse(503, '2003', 'Service currently unavailable')).getSettlements({ state: 'SETTLED' }),
+        { instanceOf: ServerError },
+    );
+});
+
+test('The error code takes precedence over the HTTP status', async (t) => {
+    const err = await t.throwsAsync(
+        failing('get', errorResponse(404, '3100', 'Invalid query')).getSettlements({ state: 'SETTLED' }),
+        { instanceOf: ValidationError },
+    );
+    t.false(err instanceof NotFoundError);
+});
+
+test('Validation errors from state changes are invalid transitions', async (t) => {
+    const invalid = errorResponse(400, '3100', 'State change not allowed');
+    await t.throwsAsync(failing('put', invalid).putSettlement(12, { state: 'SETTLED' }), {
+        instanceOf: InvalidStateTransitionError,
+    });
+    await t.throwsAsync(failing('post', invalid).closeSettlementWindow(558, 'Closing'), {
+        instanceOf: InvalidStateTransitionError,
+    });
+    const err = await t.throwsAsync(failing('post', invalid).createSettlement('Month end', [558]));
+    t.true(err instanceof ValidationError);
+    t.false(err instanceof InvalidStateTransitionError);
+});
+
+test('Other errors keep their original form', async (t) => {
+    const err = await t.throwsAsync(
+        failing('post', errorResponse(400, '4001', 'Payer FSP insufficient liquidity')).postSettlementFile(12, '<Document/>'),
+        { instanceOf: SettlementApiError },
+    );
+    t.is(err.name, 'SettlementApiError');
+    const network = new Error('connect ECONNREFUSED');
+    t.is(await t.throwsAsync(failing('get', network).getSettlement(12)), network);
+});
@@ -0,0 +1,76 @@
+const test = require('ava');
+const {
+    minPaymentsAlgorithm, exportPaymentsCsv, exportPaymentsJson,
+} = require('../../src/settlement').util;
+const support = require('../_support');
+
+const { windowId } = support;
+
+const dfspConf = {
+    ...support.dfspConf,
+    2: { ...support.dfspConf[2], name: 'DFSP "Two", Ltd' },
+};
+
+const input = support.genSettlement([[1, '10.5'], [2, '-7'], [3, '-3.5'], [4, '0']]);
+
+const clock = () => new Date('2020-06-01T10:00:00.000Z');
+
+test('Payments are exported as JSON', (t) => {
+    const doc = JSON.parse(exportPaymentsJson(
+        minPaymentsAlgorithm(input), dfspConf, windowId, { clock },
+    ));
+    t.is(doc.windowId, windowId);
+    t.is(doc.createdAt, '2020-06-01T10:00:00.000Z');
+    t.deepEqual(doc.totals, { USD: { count: 2, amount: '10.5' } });
+    t.deepEqual(doc.payments[1], {
+        windowId,
+        currency: 'USD',
+        amount: '7',
+        payer: '1:10',
+        payerParticipantId: '1',
+        payerName: 'DFSP-1',
+        payerAccount: '1234567',
+        payee: '2:20',
+        payeeParticipantId: '2',
+        payeeName: 'DFSP "Two", Ltd',
+        payeeAccount: '2345678',
+        reference: 'Settlement Window 558',
+    });
+});
+
+test('Payments are exported as CSV with all columns by default', (t) => {
+    const csv = exportPaymentsCsv(minPaymentsAlgorithm(input), dfspConf, windowId);
+    t.is(csv, [
+        'windowId,currency,amount,payer,payerParticipantId,payerName,payerAccount,payee,payeeParticipantId,payeeName,payeeAccount,reference',
+        '558,USD,3.5,1:10,1,DFSP-1,1234567,3:30,3,DFSP-3,3456789,Settlement Window 558',
+        '558,USD,7,1:10,1,DFSP-1,1234567,2:20,2,"DFSP ""Two"", Ltd",2345678,Settlement Window 558',
+        '',
+    ].join('\r\n'));
+});
+
+test('CSV columns, delimiter and line endings are configurable', (t) => {
+    const csv = exportPaymentsCsv(minPaymentsAlgorithm(input), dfspConf, windowId, {
+        columns: [
+            { header: 'Beneficiary', field: 'payeeName' },
+            'payeeAccount',
+            { header: 'Amount', value: (p) => p.amount.replace('.', ',') },
+            { header: 'Type', value: () => 'SETTLEMENT' },
+        ],
+        delimiter: ';',
+        eol: '\n',
+        header: false,
+    });
+    t.is(csv, 'DFSP-3;3456789;3,5;SETTLEMENT\n"DFSP ""Two"", Ltd";2345678;7;SETTLEMENT\n');
+    t.throws(
+        () => exportPaymentsCsv(minPaymentsAlgorithm(input), dfspConf, windowId, { columns: ['iban'] }),
+        { message: /^Unknown CSV column iban\. Available columns are: windowId, currency/ },
+    );
+});
+
+test('Exporters require bank details for every account', (t) => {
+    const { 3: missing, ...conf } = dfspConf;
+    t.truthy(missing);
+    t.throws(() => exportPaymentsJson(minPaymentsAlgorithm(input), conf, windowId), {
+        message: 'Couldn\'t find DFSP with id 3 in DFSP config',
+    });
+});
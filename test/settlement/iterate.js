@@ -0,0 +1,126 @@
+const test = require('ava');
+const SettlementsModel = require('../../src/settlement').api;
+
+// Settlement windows created at noon each day of June 2020, with IDs 1 to 30
+const windows = Array.from({ length: 30 }, (_, i) => ({
+    settlementWindowId: i + 1,
+    state: 'SETTLED',
+    createdDate: new Date(Date.UTC(2020, 5, i + 1, 12)).toISOString(),
+}));
+
+// A model whose API filters the windows above by date and supports offset and limit. Records each
+// query, and the most requests in flight at once.
+const model = () => {
+    const m = new SettlementsModel({ endpoint: 'http://fake-endpoint.mojaloop' });
+    m.queries = [];
+    m.maxInFlight = 0;
+    let inFlight = 0;
+    m.getSettlementWindows = async (query) => {
+        m.queries.push(query);
+        inFlight += 1;
+        m.maxInFlight = Math.max(m.maxInFlight, inFlight);
+        await new Promise((resolve) => setImmediate(resolve));
+        inFlight -= 1;
+        const {
+            fromDateTime = '', toDateTime = '~', offset = 0, limit = Infinity,
+        } = query;
+        return windows
+            .filter((w) => w.createdDate >= fromDateTime && w.createdDate <= toDateTime)
+            .slice(offset, offset + limit);
+    };
+    m.getSettlements = async (query) => {
+        m.queries.push(query);
+        return [{ id: 1 }, { id: 2 }].slice(query.offset, query.offset + query.limit);
+    };
+    return m;
+};
+
+const collect = async (iterator) => {
+    const results = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const result of iterator) {
+        results.push(result);
+    }
+    return results;
+};
+
+const june = {
+    state: 'SETTLED',
+    fromDateTime: '2020-06-01T00:00:00.000Z',
+    toDateTime: '2020-07-01T00:00:00.000Z',
+};
+
+test('Date ranges are requested one interval at a time', async (t) => {
+    const m = model();
+    const results = await collect(m.iterateSettlementWindows(june, { concurrency: 4 }));
+    t.deepEqual(results.map((w) => w.settlementWindowId), windows.map((w) => w.settlementWindowId));
+    t.is(m.queries.length, 30);
+    t.deepEqual(m.queries[1], {
+        state: 'SETTLED',
+        fromDateTime: '2020-06-02T00:00:00.000Z',
+        toDateTime: '2020-06-03T00:00:00.000Z',
+    });
+    t.is(m.maxInFlight, 4);
+});
+
+test('Results on the boundary of two date ranges are yielded once', async (t) => {
+    const m = model();
+    const results = await collect(m.iterateSettlementWindows({
+        fromDateTime: '2020-06-01T12:00:00.000Z',
+        toDateTime: '2020-06-04T12:00:00.000Z',
+    }));
+    t.deepEqual(results.map((w) => w.settlementWindowId), [1, 2, 3, 4]);
+    t.is(m.queries.length, 3);
+});
+
+test('Pages are requested until a short page', async (t) => {
+    const m = model();
+    const results = await collect(m.iterateSettlementWindows(
+        { state: 'SETTLED' }, { pageSize: 7, concurrency: 2 },
+    ));
+    t.is(results.length, 30);
+    t.deepEqual(m.queries.map((q) => q.offset), [0, 7, 14, 21, 28, 35]);
+    t.is(m.maxInFlight, 2);
+
+    const settlements = model();
+    t.deepEqual(await collect(settlements.iterateSettlements({ state: 'SETTLED' }, { pageSize: 2 })), [
+        { id: 1 }, { id: 2 },
+    ]);
+    t.deepEqual(settlements.queries.map((q) => q.offset), [0, 2]);
+});
+
+test('Paging stops when the switch ignores offset and limit', async (t) => {
+    const m = model();
+    m.getSettlementWindows = async (query) => {
+        m.queries.push(query);
+        return windows.slice(0, 2);
+    };
+    const results = await collect(m.iterateSettlementWindows({ state: 'SETTLED' }, { pageSize: 2 }));
+    t.deepEqual(results.map((w) => w.settlementWindowId), [1, 2]);
+    t.deepEqual(m.queries.map((q) => q.offset), [0, 2]);
+});
+
+test('Iteration stops when the consumer does', async (t) => {
+    const m = model();
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const w of m.iterateSettlementWindows(june)) {
+        if (w.settlementWindowId === 2) {
+            break;
+        }
+    }
+    t.is(m.queries.length, 2);
+});
+
+test('Invalid options are rejected', async (t) => {
+    const m = model();
+    await t.throwsAsync(collect(m.iterateSettlementWindows(june, { pageSize: 0 })), {
+        message: 'iterateSettlementWindows: pageSize must be a positive whole number, not 0',
+    });
+    await t.throwsAsync(collect(m.iterateSettlements(june, { concurrency: 1.5 })), {
+        message: 'iterateSettlements: concurrency must be a positive whole number, not 1.5',
+    });
+    await t.throwsAsync(collect(m.iterateSettlementWindows({ ...june, toDateTime: 'June' })), {
+        message: 'iterateSettlementWindows: fromDateTime and toDateTime must be dates, fromDateTime first',
+    });
+    t.is(m.queries.length, 0);
+});
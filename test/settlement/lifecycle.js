@@ -0,0 +1,126 @@
+const test = require('ava');
+const SettlementsModel = require('../../src/settlement').api;
+
+// A model of a switch holding settlement 12, whose putSettlement applies each account state in the
+// body, rejecting any account listed in `reject`
+const model = (states, reject = []) => {
+    const m = new SettlementsModel({ endpoint: 'http://fake-endpoint.mojaloop' });
+    const settlement = {
+        id: 12,
+        state: states[0],
+        participants: states.map((state, i) => ({
+            id: i + 1,
+            accounts: [{ id: (i + 1) * 10, state }],
+        })),
+    };
+    m.puts = [];
+    m.getSettlement = async () => settlement;
+    m.putSettlement = async (id, body) => {
+        m.puts.push(body);
+        return {
+            ...settlement,
+            participants: settlement.participants.map((p) => ({
+                ...p,
+                accounts: p.accounts.map((a) => {
+                    const bp = body.participants.find((b) => b.id === p.id) || { accounts: [] };
+                    const update = bp.accounts.find((ba) => ba.id === a.id);
+                    if (update === undefined) {
+                        return a;
+                    }
+                    if (reject.includes(a.id)) {
+                        return { ...a, errorInformation: { errorCode: 3100, errorDescription: 'State change not allowed' } };
+                    }
+                    return { ...a, state: update.state };
+                }),
+            })),
+        };
+    };
+    return m;
+};
+
+test('Every account moves to its next state', async (t) => {
+    const m = model(['PENDING_SETTLEMENT', 'PS_TRANSFERS_RECORDED', 'PS_TRANSFERS_COMMITTED']);
+    const result = await m.advanceSettlement(12, { reason: 'Month end' });
+    t.deepEqual(result.moved, [
+        {
+            participantId: 1, accountId: 10, from: 'PENDING_SETTLEMENT', to: 'PS_TRANSFERS_RECORDED',
+        },
+        {
+            participantId: 2, accountId: 20, from: 'PS_TRANSFERS_RECORDED', to: 'PS_TRANSFERS_RESERVED',
+        },
+        {
+            participantId: 3, accountId: 30, from: 'PS_TRANSFERS_COMMITTED', to: 'SETTLED',
+        },
+    ]);
+    t.deepEqual(result.failed, []);
+    t.deepEqual(m.puts[0].participants[0], {
+        id: 1,
+        accounts: [{ id: 10, reason: 'Month end', state: 'PS_TRANSFERS_RECORDED' }],
+    });
+});
+
+test('Selected accounts move to the requested state only where it is legal', async (t) => {
+    const m = model(['PENDING_SETTLEMENT', 'PS_TRANSFERS_RECORDED', 'SETTLED']);
+    const result = await m.advanceSettlement(12, {
+        state: 'PS_TRANSFERS_RECORDED',
+        accounts: [
+            { participantId: 1, accountId: 10 },
+            { participantId: 2, accountId: 20 },
+            { participantId: 3, accountId: 30 },
+            { participantId: 4, accountId: 40 },
+        ],
+    });
+    t.deepEqual(result.moved.map((a) => a.accountId), [10]);
+    t.deepEqual(result.failed.map((a) => a.message), [
+        'Account 20 of participant 2 cannot move from PS_TRANSFERS_RECORDED to PS_TRANSFERS_RECORDED',
+        'Account 30 of participant 3 cannot move from SETTLED to PS_TRANSFERS_RECORDED',
+        'Account 40 of participant 4 is not in settlement 12',
+    ]);
+    t.deepEqual(m.puts[0].participants.map((p) => p.id), [1]);
+});
+
+test('Accounts may be selected by string IDs', async (t) => {
+    const m = model(['PENDING_SETTLEMENT', 'PENDING_SETTLEMENT']);
+    const result = await m.advanceSettlement(12, {
+        accounts: [{ participantId: '2', accountId: '20' }],
+    });
+    t.deepEqual(result.moved, [
+        {
+            participantId: 2, accountId: 20, from: 'PENDING_SETTLEMENT', to: 'PS_TRANSFERS_RECORDED',
+        },
+    ]);
+    t.deepEqual(result.failed, []);
+    t.deepEqual(m.puts[0].participants, [
+        { id: 2, accounts: [{ id: 20, reason: 'Settlement advanced', state: 'PS_TRANSFERS_RECORDED' }] },
+    ]);
+});
+
+test('Accounts the switch rejects are reported as failed', async (t) => {
+    const m = model(['PS_TRANSFERS_RESERVED', 'PS_TRANSFERS_RESERVED'], [20]);
+    const result = await m.advanceSettlement(12);
+    t.deepEqual(result.moved.map((a) => [a.accountId, a.to]), [[10, 'PS_TRANSFERS_COMMITTED']]);
+    t.deepEqual(result.failed, [{
+        participantId: 2,
+        accountId: 20,
+        from: 'PS_TRANSFERS_RESERVED',
+        to: 'PS_TRANSFERS_COMMITTED',
+        message: 'State change not allowed',
+    }]);
+
+    const down = model(['PENDING_SETTLEMENT']);
+    down.putSettlement = async () => { throw new Error('Service unavailable'); };
+    const result2 = await down.advanceSettlement(12);
+    t.deepEqual(result2.failed.map((a) => a.message), ['Service unavailable']);
+});
+
+test('Nothing is sent when no account can move', async (t) => {
+    const m = model(['SETTLED']);
+    const result = await m.advanceSettlement(12);
+    t.deepEqual(result.moved, []);
+    t.is(result.failed.length, 1);
+    t.is(m.puts.length, 0);
+    await t.throwsAsync(m.advanceSettlement(12, { state: 'PENDING_SETTLEMENT' }), {
+        message: /^advanceSettlement: state must be one of PS_TRANSFERS_RECORDED, /,
+    });
+    t.deepEqual(SettlementsModel.ACCOUNT_STATES.slice(-1), ['SETTLED']);
+});
@@ -0,0 +1,118 @@
+const test = require('ava');
+const { minPaymentsAlgorithm, generateMT101 } = require('../../src/settlement').util;
+const { dfspConf, genSettlement, windowId } = require('../_support');
+
+const input = genSettlement([[1, '10.5'], [2, '-7'], [3, '-3.5']]);
+
+const clock = () => new Date('2020-06-01T10:00:00.000Z');
+
+test('MT101 messages are generated per payer per currency', (t) => {
+    const messages = generateMT101(minPaymentsAlgorithm(input).USD, dfspConf, windowId, { clock });
+    t.is(messages.length, 1);
+    t.is(messages[0], [
+        '{4:',
+        ':20:558-USD-1',
+        ':28D:1/1',
+        ':50H:/1234567',
+        'DFSP-1',
+        'CI',
+        ':30:200601',
+        ':21:558-1-1',
+        ':32B:USD3,50',
+        ':57A:CITICIAX',
+        ':59:/3456789',
+        'DFSP-3',
+        'CI',
+        ':70:Settlement Window 558',
+        ':71A:OUR',
+        ':21:558-1-2',
+        ':32B:USD7,00',
+        ':57A:CITICIAX',
+        ':59:/2345678',
+        'DFSP-2',
+        'CI',
+        ':70:Settlement Window 558',
+        ':71A:OUR',
+        '-}',
+    ].join('\r\n'));
+});
+
+test('MT101 amounts use the decimal places of the currency', (t) => {
+    const payments = minPaymentsAlgorithm(genSettlement([
+        [1, '10.5', 'USD'],
+        [2, '-10.5', 'USD'],
+        [3, '-2000', 'XOF'],
+        [4, '2000', 'XOF'],
+    ]));
+    const messages = generateMT101(payments, dfspConf, windowId, { clock });
+    t.deepEqual(messages.map((m) => m.match(/:32B:(.*)/)[1].trim()), ['USD10,50', 'XOF2000,']);
+    t.throws(
+        () => generateMT101({ currency: 'USD', matrix: { '1:10': { '2:20': '1.005' } } }, dfspConf, windowId),
+        { message: 'MT101 message failed validation: Amount 1.005 has more than the 2 decimal places allowed for USD' },
+    );
+});
+
+test('Each MT101 message is a chain of its own', (t) => {
+    const payments = minPaymentsAlgorithm(genSettlement([
+        [1, '10.5', 'USD'],
+        [2, '-10.5', 'USD'],
+        [3, '-2000', 'XOF'],
+        [4, '2000', 'XOF'],
+    ]));
+    const messages = generateMT101(payments, dfspConf, windowId, { clock });
+    t.deepEqual(messages.map((m) => m.match(/:20:(.*)/)[1].trim()), ['558-USD-1', '558-XOF-2']);
+    t.deepEqual(messages.map((m) => m.match(/:28D:(.*)/)[1].trim()), ['1/1', '1/1']);
+});
+
+test('MT101 headers are added when a sender is given', (t) => {
+    const [message] = generateMT101(minPaymentsAlgorithm(input), dfspConf, windowId, {
+        clock, sender: 'EXAMCIAB',
+    });
+    t.true(message.startsWith('{1:F01EXAMCIABXXXX0000000000}{2:I101CITICIAXXXXXN}{4:\r\n:20:'));
+    t.throws(
+        () => generateMT101(minPaymentsAlgorithm(input), dfspConf, windowId, { sender: 'nope' }),
+        { message: 'MT101 message failed validation: MT101 sender \'nope\' is not a valid BIC' },
+    );
+});
+
+test('MT101 field lengths and character set are enforced', (t) => {
+    const conf = {
+        ...dfspConf,
+        2: { ...dfspConf[2], name: 'DFSP & Sons' },
+        3: { ...dfspConf[3], name: 'A'.repeat(36) },
+    };
+    const err = t.throws(() => generateMT101(minPaymentsAlgorithm(input), conf, 1234567890123, {
+        clock,
+    }));
+    t.deepEqual(err.errors.map((e) => e.field), ['20', '21', '59', '21', '59']);
+    t.deepEqual(err.errors.map((e) => e.message), [
+        'Field 20 \'1234567890123-USD-1\' is longer than 16 characters',
+        'Field 21 \'1234567890123-1-1\' is longer than 16 characters',
+        `Field 59 '${'A'.repeat(36)}' is longer than 35 characters`,
+        'Field 21 \'1234567890123-1-2\' is longer than 16 characters',
+        'Field 59 \'DFSP & Sons\' contains characters outside the SWIFT character set',
+    ]);
+});
+
+test('MT101 references can be customised', (t) => {
+    const [message] = generateMT101(minPaymentsAlgorithm(input), dfspConf, windowId, {
+        clock,
+        senderReference: ({ currency }) => `REF${currency}`,
+        transactionReference: ({ payee }) => `TX${payee.replace(':', '-')}`,
+    });
+    t.regex(message, /:20:REFUSD\r\n/);
+    t.regex(message, /:21:TX3-30\r\n[\s\S]*:21:TX2-20\r\n/);
+    t.throws(() => generateMT101(minPaymentsAlgorithm(input), dfspConf, windowId, {
+        senderReference: () => '/REF',
+    }), { message: /Field 20 '\/REF' must not start or end with '\/' or contain '\/\/'/ });
+});
+
+test('MT101 execution dates follow the business day calendar', (t) => {
+    const saturday = () => new Date('2020-06-06T10:00:00.000Z');
+    const executionDate = (opts) => generateMT101(minPaymentsAlgorithm(input), dfspConf, windowId, {
+        clock: saturday, ...opts,
+    })[0].match(/:30:(.*)/)[1].trim();
+    t.is(executionDate(), '200608');
+    t.is(executionDate({ executionOffset: 2 }), '200609');
+    t.is(executionDate({ calendar: { weekend: [], holidays: [] } }), '200606');
+});
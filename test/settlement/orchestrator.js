@@ -0,0 +1,210 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('ava');
+const { api: SettlementsModel, orchestrator } = require('../../src/settlement');
+const { dfspConf, genSettlement, windowId } = require('../_support');
+
+const { fileCheckpoint, memoryCheckpoint, settleWindow } = orchestrator;
+
+// A model of a switch with one open settlement window, settling the supplied currencies. `calls`
+// records the name of each method called on the switch; `fail` makes the named method throw once,
+// on its next call or, given a number, on that call. Clearing `reportsModel` leaves the settlement
+// model out of the settlements returned.
+const model = (currencies = ['XOF']) => {
+    const m = new SettlementsModel({ endpoint: 'http://fake-endpoint.mojaloop' });
+    const window = { settlementWindowId: windowId, state: 'OPEN' };
+    const settlements = [];
+    m.calls = [];
+    m.posted = [];
+    m.fail = {};
+    m.reportsModel = true;
+    const report = (s) => {
+        if (s === undefined || m.reportsModel) {
+            return s;
+        }
+        const { settlementModel, ...rest } = s;
+        return rest;
+    };
+    const call = (name) => {
+        m.calls.push(name);
+        const count = m.calls.filter((c) => c === name).length;
+        if (m.fail[name] === true || m.fail[name] === count) {
+            delete m.fail[name];
+            throw new Error(`${name} failed`);
+        }
+    };
+    m.getSettlementWindow = async () => window;
+    m.closeSettlementWindow = async () => {
+        call('closeSettlementWindow');
+        window.state = 'CLOSED';
+    };
+    m.getSettlements = async (query) => settlements
+        .filter((s) => s.settlementWindows.some((w) => w.id === query.settlementWindowId))
+        .map(report)
+        .filter((s) => query.settlementModel === undefined
+            || s.settlementModel === query.settlementModel);
+    m.createSettlement = async (reason, windows, settlementModel = 'DEFERREDNET') => {
+        call('createSettlement');
+        const rows = [[1, '100'], [2, '-100']].reduce((pv, [id, amount]) => [
+            ...pv,
+            ...currencies.map((currency) => [id, amount, currency]),
+        ], []);
+        const settlement = genSettlement(rows, {
+            id: 12 + settlements.length,
+            settlementModel,
+            state: 'PENDING_SETTLEMENT',
+            createdDate: '2020-06-01T10:00:00.000Z',
+            settlementWindows: windows.map((id) => ({ id })),
+        });
+        settlement.participants.forEach((p) => p.accounts.forEach((a) => {
+            Object.assign(a, { state: 'PENDING_SETTLEMENT' });
+        }));
+        settlements.push(settlement);
+        return settlement;
+    };
+    m.getSettlement = async (id) => report(settlements.find((s) => s.id === id));
+    m.putSettlement = async (id, body) => {
+        call('putSettlement');
+        const settlement = settlements.find((s) => s.id === id);
+        body.participants.forEach((bp) => bp.accounts.forEach((ba) => {
+            const participant = settlement.participants.find((p) => p.id === bp.id);
+            participant.accounts.find((a) => a.id === ba.id).state = ba.state;
+        }));
+        return settlement;
+    };
+    m.postSettlementFile = async (settlementId, file) => {
+        call('postSettlementFile');
+        m.posted.push(file);
+    };
+    return m;
+};
+
+test('A window is closed, settled and its payment file posted', async (t) => {
+    const m = model();
+    const report = await settleWindow(m, windowId, dfspConf, {
+        paymentFile: { ids: 'deterministic' },
+    });
+    t.is(report.status, 'COMPLETED');
+    t.false(report.resumed);
+    t.is(report.settlementId, 12);
+    t.deepEqual(report.steps.map((s) => [s.step, s.status]), [
+        ['CLOSE_WINDOW', 'DONE'],
+        ['CREATE_SETTLEMENT', 'DONE'],
+        ['ADVANCE_ACCOUNTS', 'DONE'],
+        ['GENERATE_FILE', 'DONE'],
+        ['POST_FILE', 'DONE'],
+    ]);
+    t.is(report.steps[2].detail.transitions.length, 4);
+    t.deepEqual(m.posted, [report.paymentFile]);
+    t.regex(report.paymentFile, /<InstdAmt Ccy="XOF">100<\/InstdAmt>/);
+    t.deepEqual((await m.getSettlement(12)).participants.map((p) => p.accounts[0].state), [
+        'SETTLED', 'SETTLED',
+    ]);
+});
+
+test('A failed run resumes from its checkpoint with the same payment file', async (t) => {
+    const file = path.join(os.tmpdir(), `orchestrator-${process.pid}.json`);
+    const m = model();
+    m.fail.postSettlementFile = true;
+    try {
+        const failed = await settleWindow(m, windowId, dfspConf, {
+            checkpoint: fileCheckpoint(file),
+        });
+        t.is(failed.status, 'FAILED');
+        t.deepEqual(failed.steps.slice(-1).map((s) => [s.step, s.status, s.error]), [
+            ['POST_FILE', 'FAILED', 'postSettlementFile failed'],
+        ]);
+
+        const resumed = await settleWindow(m, windowId, dfspConf, {
+            checkpoint: fileCheckpoint(file),
+        });
+        t.is(resumed.status, 'COMPLETED');
+        t.true(resumed.resumed);
+        t.deepEqual(resumed.steps.map((s) => s.status), [
+            'SKIPPED', 'SKIPPED', 'SKIPPED', 'SKIPPED', 'DONE',
+        ]);
+        t.is(resumed.paymentFile, failed.paymentFile);
+        t.deepEqual(m.posted, [failed.paymentFile]);
+        t.is(m.calls.filter((c) => c === 'createSettlement').length, 1);
+    } finally {
+        fs.unlinkSync(file);
+    }
+});
+
+test('Files posted before a failure are not posted again', async (t) => {
+    const m = model(['XOF', 'USD']);
+    m.fail.postSettlementFile = 2;
+    const checkpoint = memoryCheckpoint();
+    const opts = { checkpoint, paymentFile: { documentPerCurrency: true } };
+    const failed = await settleWindow(m, windowId, dfspConf, opts);
+    t.is(failed.status, 'FAILED');
+    t.deepEqual(Object.keys(failed.paymentFile), ['XOF', 'USD']);
+    t.deepEqual(checkpoint.load().posted, ['XOF']);
+
+    const resumed = await settleWindow(m, windowId, dfspConf, opts);
+    t.is(resumed.status, 'COMPLETED');
+    t.deepEqual(resumed.steps[4].detail, { files: 2, alreadyPosted: 1 });
+    t.deepEqual(m.posted, [failed.paymentFile.XOF, failed.paymentFile.USD]);
+});
+
+test('A run without a checkpoint picks up the work already done on the switch', async (t) => {
+    const m = model();
+    m.fail.putSettlement = true;
+    const failed = await settleWindow(m, windowId, dfspConf);
+    t.is(failed.status, 'FAILED');
+    t.is(failed.steps[2].error, '2 accounts of settlement 12 failed to move: putSettlement failed; putSettlement failed');
+    t.is(failed.steps.length, 3);
+
+    const rerun = await settleWindow(m, windowId, dfspConf, { checkpoint: memoryCheckpoint() });
+    t.is(rerun.status, 'COMPLETED');
+    t.false(rerun.resumed);
+    t.deepEqual(rerun.steps.map((s) => s.status), [
+        'SKIPPED', 'SKIPPED', 'DONE', 'DONE', 'DONE',
+    ]);
+    t.is(rerun.settlementId, 12);
+    t.deepEqual(m.calls.filter((c) => c !== 'putSettlement'), [
+        'closeSettlementWindow', 'createSettlement', 'postSettlementFile',
+    ]);
+});
+
+test('A rerun finds its settlement when the switch leaves out the settlement model', async (t) => {
+    const m = model();
+    m.reportsModel = false;
+    m.fail.putSettlement = true;
+    const failed = await settleWindow(m, windowId, dfspConf, { settlementModel: 'GROSS' });
+    t.is(failed.status, 'FAILED');
+
+    const rerun = await settleWindow(m, windowId, dfspConf, { settlementModel: 'GROSS' });
+    t.is(rerun.status, 'COMPLETED');
+    t.is(rerun.settlementId, 12);
+    t.is(rerun.steps[1].status, 'SKIPPED');
+    t.is(m.calls.filter((c) => c === 'createSettlement').length, 1);
+});
+
+test('A window is settled under the requested settlement model', async (t) => {
+    const m = model();
+    await settleWindow(m, windowId, dfspConf);
+    const gross = await settleWindow(m, windowId, dfspConf, { settlementModel: 'GROSS' });
+    t.is(gross.status, 'COMPLETED');
+    t.is(gross.settlementId, 13);
+    t.is(gross.steps[1].status, 'DONE');
+    t.is((await m.getSettlement(13)).settlementModel, 'GROSS');
+
+    const checkpoint = memoryCheckpoint();
+    await settleWindow(m, windowId, dfspConf, { settlementModel: 'GROSS', checkpoint });
+    await t.throwsAsync(settleWindow(m, windowId, dfspConf, { checkpoint }), {
+        message: 'settleWindow: checkpoint is for settlement model GROSS, not the default settlement model',
+    });
+});
+
+test('Checkpoints are only used for their own window', async (t) => {
+    const checkpoint = memoryCheckpoint();
+    checkpoint.save({ windowId: 559, completed: ['CLOSE_WINDOW'] });
+    await t.throwsAsync(settleWindow(model(), windowId, dfspConf, { checkpoint }), {
+        message: 'settleWindow: checkpoint is for settlement window 559, not 558',
+    });
+    await t.throwsAsync(settleWindow(model(), windowId, dfspConf, { state: 'CLOSED' }), {
+        message: /^settleWindow: state must be one of PS_TRANSFERS_RECORDED, /,
+    });
+});
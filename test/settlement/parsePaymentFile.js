@@ -0,0 +1,99 @@
+const test = require('ava');
+const {
+    generatePaymentFile, parsePaymentFile, comparePaymentFile, deterministicIds,
+} = require('../../src/settlement').util;
+const support = require('../_support');
+
+const { windowId } = support;
+
+const dfspConf = {
+    ...support.dfspConf,
+    3: { name: 'DFSP-3', country: 'CI', accounts: { 30: { accountId: '0003456789' } } },
+};
+
+const settlement = (rows) => support.genSettlement(rows, { settlementWindows: [{ id: windowId }] });
+
+const input = settlement([[1, '10.5'], [2, '-7'], [3, '-3.5']]);
+
+const ids = { ...deterministicIds(), msgId: () => 'MSG-1' };
+
+const paymentFile = (inp = input, opts = {}) => generatePaymentFile(
+    windowId, inp, dfspConf, undefined, { ids, ...opts },
+);
+
+test('Payment files are parsed back into payment matrices', (t) => {
+    [undefined, 'pain.001.001.09'].forEach((messageVersion) => {
+        t.deepEqual(parsePaymentFile(paymentFile(input, { messageVersion }), dfspConf), {
+            currency: 'USD',
+            matrix: { 1: { 2: '7', '3:30': '3.5' } },
+            windowId: '558',
+            msgId: 'MSG-1',
+            ctrlSum: '10.5',
+        });
+    });
+});
+
+test('Payments in several currencies are read one currency at a time', (t) => {
+    const xml = paymentFile(settlement([
+        [1, '5', 'USD'],
+        [1, '-2', 'XOF'],
+        [2, '-5', 'USD'],
+        [2, '2', 'XOF'],
+    ]));
+    t.throws(() => parsePaymentFile(xml, dfspConf), {
+        message: 'Payment file contains payments in several currencies (USD, XOF); choose one with opts.currency',
+    });
+    const xof = parsePaymentFile(xml, dfspConf, { currency: 'XOF' });
+    t.deepEqual(xof.matrix, { 2: { 1: '2' } });
+    t.is(xof.ctrlSum, '2');
+});
+
+test('Parties that are not in the DFSP config are rejected', (t) => {
+    const { 2: omitted, ...conf } = dfspConf;
+    t.throws(() => parsePaymentFile(paymentFile(), conf), {
+        message: "Couldn't find a single DFSP for account 2345678 of DFSP-2 in DFSP config",
+    });
+    t.throws(() => parsePaymentFile('<Document><Foo/></Document>', dfspConf), {
+        message: 'Payment file is not a supported pain.001 document',
+    });
+});
+
+test('A payment file generated from the settlement matches it', (t) => {
+    const parsed = parsePaymentFile(paymentFile(), dfspConf);
+    t.deepEqual(comparePaymentFile(parsed, input, dfspConf), { equal: true, differences: [] });
+});
+
+test('Differences from the settlement are reported', (t) => {
+    const parsed = parsePaymentFile(paymentFile(), dfspConf);
+    const altered = {
+        ...parsed,
+        matrix: { 1: { 2: '6' }, 2: { '3:30': '1' } },
+        windowId: '559',
+    };
+    t.deepEqual(comparePaymentFile(altered, input, dfspConf).differences.map((d) => d.code), [
+        'AMOUNT_MISMATCH',
+        'MISSING_PAYMENT',
+        'UNEXPECTED_PAYMENT',
+        'WINDOW_MISMATCH',
+    ]);
+
+    const other = comparePaymentFile(parsed, settlement([[1, '10.5'], [2, '-10.5']]), dfspConf);
+    t.false(other.equal);
+    t.deepEqual(other.differences, [
+        {
+            code: 'AMOUNT_MISMATCH',
+            payer: '1',
+            payee: '2',
+            expected: '10.5',
+            actual: '7',
+            message: 'Payment from 1 to 2 is 7 USD, expected 10.5',
+        },
+        {
+            code: 'UNEXPECTED_PAYMENT',
+            payer: '1',
+            payee: '3:30',
+            actual: '3.5',
+            message: 'Payment of 3.5 USD from 1 to 3:30 is not in the settlement',
+        },
+    ]);
+});
@@ -0,0 +1,230 @@
+/* eslint-disable no-underscore-dangle */
+const path = require('path');
+const test = require('ava');
+const { xml2js } = require('xml-js');
+const {
+    generateMT101, generatePaymentFile, minPaymentsAlgorithm, paymentInstructions,
+} = require('../../src/settlement').util;
+const support = require('../_support');
+
+const { dfspConf, windowId } = support;
+
+const genMultiCurrencyInput = () => {
+    const usd = support.genInput({ data: () => [{ id: 1, amount: '10.5' }, { id: 2, amount: '-10.5' }] });
+    const xof = support.genInput({
+        currency: () => 'XOF',
+        data: () => [{ id: 3, amount: '-2000' }, { id: 4, amount: '2000' }],
+    });
+    return { ...usd, participants: [...usd.participants, ...xof.participants] };
+};
+
+const parse = (xml) => xml2js(xml, { compact: true }).Document.CstmrCdtTrfInitn;
+const asArray = (v) => (Array.isArray(v) ? v : [v]);
+
+test('Multi-currency settlement produces one PmtInf block per currency', (t) => {
+    const doc = parse(generatePaymentFile(windowId, genMultiCurrencyInput(), dfspConf));
+    const pmtInf = asArray(doc.PmtInf);
+    t.is(doc.GrpHdr.NbOfTxs._text, '2');
+    t.deepEqual(pmtInf.map((p) => p.DbtrAcct.Ccy._text), ['USD', 'XOF']);
+    t.deepEqual(pmtInf.map((p) => p.PmtInfId._text), ['0', '1']);
+    t.deepEqual(
+        pmtInf.map((p) => p.CdtTrfTxInf.Amt.InstdAmt._attributes.Ccy),
+        ['USD', 'XOF'],
+    );
+});
+
+test('Multi-currency settlement can produce one document per currency', (t) => {
+    const docs = generatePaymentFile(
+        windowId, genMultiCurrencyInput(), dfspConf, undefined, { documentPerCurrency: true },
+    );
+    t.deepEqual(Object.keys(docs), ['USD', 'XOF']);
+    const usd = parse(docs.USD);
+    const xof = parse(docs.XOF);
+    t.is(usd.GrpHdr.CtrlSum._text, '10.5');
+    t.is(usd.PmtInf.Dbtr.Nm._text, 'DFSP-1');
+    t.is(xof.GrpHdr.CtrlSum._text, '2000');
+    t.is(xof.PmtInf.Dbtr.Nm._text, 'DFSP-4');
+    t.is(xof.PmtInf.CdtTrfTxInf.Cdtr.Nm._text, 'DFSP-3');
+});
+
+test('Bank accounts are resolved per participant ledger account', (t) => {
+    const input = support.genInput({ data: () => [] });
+    input.participants = [
+        {
+            id: 1,
+            accounts: [
+                { id: 10, netSettlementAmount: { amount: '5', currency: 'USD' } },
+                { id: 11, netSettlementAmount: { amount: '-5', currency: 'USD' } },
+            ],
+        },
+    ];
+    const conf = {
+        1: {
+            name: 'DFSP-1',
+            country: 'CI',
+            accounts: {
+                10: { accountId: '0001111111' },
+                11: { accountId: '0002222222' },
+            },
+        },
+    };
+    const doc = parse(generatePaymentFile(windowId, input, conf));
+    t.is(doc.PmtInf.DbtrAcct.Id.Othr.Id._text, '1111111');
+    t.is(doc.PmtInf.CdtTrfTxInf.CdtrAcct.Id.Othr.Id._text, '2222222');
+});
+
+test('Missing ledger account bank details throw an error', (t) => {
+    const input = support.genInput({ data: () => [] });
+    input.participants = [
+        { id: 1, accounts: [{ id: 10, netSettlementAmount: { amount: '5', currency: 'USD' } }] },
+        { id: 2, accounts: [{ id: 20, netSettlementAmount: { amount: '-5', currency: 'USD' } }] },
+    ];
+    const conf = {
+        1: dfspConf[1],
+        2: { name: 'DFSP-2', country: 'CI', accounts: { 21: { accountId: '0002222222' } } },
+    };
+    t.throws(() => generatePaymentFile(windowId, input, conf), {
+        message: 'Couldn\'t find bank account for ledger account 20 of DFSP with id 2 in DFSP config',
+    });
+});
+
+const genFixedInput = () => support.genSettlement([
+    [1, '10.5', 'USD'],
+    [2, '-10.5', 'USD'],
+    [3, '-2000', 'XOF'],
+    [4, '2000', 'XOF'],
+], { createdDate: '2020-06-01T10:00:00.000Z' });
+
+test('Deterministic payment files are identical when regenerated', (t) => {
+    const generate = (id) => generatePaymentFile(
+        id, genFixedInput(), dfspConf, undefined, { ids: 'deterministic' },
+    );
+    const first = generate(windowId);
+    t.is(first, generate(windowId));
+    t.not(first, generate(windowId + 1));
+    t.snapshot(first);
+});
+
+test('Deterministic payment files require a clock or settlement createdDate', (t) => {
+    t.throws(
+        () => generatePaymentFile(
+            windowId, genMultiCurrencyInput(), dfspConf, undefined, { ids: 'deterministic' },
+        ),
+        {
+            message: 'Deterministic payment files require either a clock or a settlement with a createdDate',
+        },
+    );
+});
+
+test('Custom ID generators and clocks are used', (t) => {
+    const ids = {
+        msgId: ({ currencies }) => `MSG-${currencies.join('-')}`,
+        pmtInfId: ({ currency, index }) => `PMT-${currency}-${index}`,
+        endToEndId: ({ payer, payee }) => `E2E-${payer}-${payee}`.replace(/:/g, '.'),
+    };
+    const clock = () => new Date('2021-02-03T04:05:06.000Z');
+    const doc = parse(generatePaymentFile(
+        windowId, genMultiCurrencyInput(), dfspConf, undefined, { ids, clock },
+    ));
+    const pmtInf = asArray(doc.PmtInf);
+    t.is(doc.GrpHdr.MsgId._text, 'MSG-USD-XOF');
+    t.is(doc.GrpHdr.CreDtTm._text, '2021-02-03T04:05:06.000Z');
+    t.deepEqual(pmtInf.map((p) => p.PmtInfId._text), ['PMT-USD-0', 'PMT-XOF-1']);
+    t.deepEqual(pmtInf.map((p) => p.ReqdExctnDt._text), ['2021-02-03', '2021-02-03']);
+    t.regex(pmtInf[0].CdtTrfTxInf.PmtId.EndToEndId._text, /^E2E-1\.\d+-2\.\d+$/);
+});
+
+test('Bank profiles supply bank-specific values', (t) => {
+    const bankProfile = {
+        initiatingParty: { name: 'Example Hub' },
+        debtorAgent: { bic: 'EXAMSNDA' },
+        creditorAgent: { bic: 'EXAMSNDB', country: 'SN' },
+        chargeBearer: 'SLEV',
+        serviceLevel: 'SEPA',
+        accountId: { stripWhitespace: true, uppercase: true },
+        remittanceText: 'Window {windowId} {currency} {payerName} to {payeeName}',
+    };
+    const conf = {
+        ...dfspConf,
+        1: { ...dfspConf[1], accountId: 'sn01 2345' },
+    };
+    const doc = parse(generatePaymentFile(
+        windowId, genFixedInput(), conf, undefined, { bankProfile },
+    ));
+    const [usd] = asArray(doc.PmtInf);
+    t.is(doc.GrpHdr.InitgPty.Nm._text, 'Example Hub');
+    t.is(usd.PmtTpInf.SvcLvl.Cd._text, 'SEPA');
+    t.is(usd.Dbtr.Id, undefined);
+    t.deepEqual(usd.DbtrAgt, { FinInstnId: { BIC: { _text: 'EXAMSNDA' } } });
+    t.is(usd.DbtrAcct.Id.Othr.Id._text, 'SN012345');
+    t.is(usd.CdtTrfTxInf.ChrgBr._text, 'SLEV');
+    t.deepEqual(usd.CdtTrfTxInf.CdtrAgt, {
+        FinInstnId: { BIC: { _text: 'EXAMSNDB' }, PstlAdr: { Ctry: { _text: 'SN' } } },
+    });
+    t.is(usd.CdtTrfTxInf.Cdtr.CtctDtls, undefined);
+    t.is(usd.CdtTrfTxInf.CdtrAcct.Id.Othr.Id._text, '0002345678');
+    t.is(usd.CdtTrfTxInf.RmtInf.Ustrd._text, 'Window 558 USD DFSP-1 to DFSP-2');
+});
+
+test('Unknown and incomplete bank profiles throw an error', (t) => {
+    t.throws(
+        () => generatePaymentFile(windowId, genFixedInput(), dfspConf, undefined, { bankProfile: 'nope' }),
+        { message: /^Unknown bank profile nope\. Available profiles are: citi-ci/ },
+    );
+    t.throws(
+        () => generatePaymentFile(
+            windowId, genFixedInput(), dfspConf, undefined, { bankProfile: { chargeBearer: 'DEBT' } },
+        ),
+        { message: 'Bank profile is missing required field initiatingParty.name' },
+    );
+});
+
+test('pain.001.001.09 documents can be produced', (t) => {
+    const xml = generatePaymentFile(
+        windowId, genFixedInput(), dfspConf, undefined,
+        { messageVersion: 'pain.001.001.09', clock: () => new Date('2021-02-03T04:05:06.000Z') },
+    );
+    const { Document } = xml2js(xml, { compact: true });
+    t.is(Document._attributes.xmlns, 'urn:iso:std:iso:20022:tech:xsd:pain.001.001.09');
+    const [usd] = asArray(Document.CstmrCdtTrfInitn.PmtInf);
+    t.deepEqual(usd.ReqdExctnDt, { Dt: { _text: '2021-02-03' } });
+    t.is(usd.Dbtr.Id.OrgId.AnyBIC._text, 'CITICIAX');
+    t.is(usd.DbtrAgt.FinInstnId.BICFI._text, 'CITICIAX');
+    t.is(usd.CdtTrfTxInf.CdtrAgt.FinInstnId.BICFI._text, 'CITICIAX');
+    t.is(usd.CdtTrfTxInf.CdtrAgt.FinInstnId.BIC, undefined);
+});
+
+test('Templates must match the requested message version', (t) => {
+    t.throws(
+        () => generatePaymentFile(
+            windowId, genFixedInput(), dfspConf,
+            path.resolve(__dirname, '../../src/settlement/template_file.xml'),
+            { messageVersion: 'pain.001.001.09' },
+        ),
+        { message: 'Template file appears not to have correct document attributes' },
+    );
+    t.throws(
+        () => generatePaymentFile(
+            windowId, genFixedInput(), dfspConf, undefined, { messageVersion: 'pain.001.001.02' },
+        ),
+        { message: /^Unsupported message version pain\.001\.001\.02/ },
+    );
+});
+
+test('Ledger accounts held at the same bank account do not pay each other', (t) => {
+    const input = support.genSettlement([[1, '5'], [1, '-3'], [2, '-2']], { currency: 'XOF' });
+    const conf = { ...dfspConf, 1: { ...dfspConf[1], accountId: '0012' } };
+    t.deepEqual(minPaymentsAlgorithm(input).XOF.matrix, { '1:10': { '2:20': '2', '1:11': '3' } });
+
+    const doc = parse(generatePaymentFile(windowId, input, conf));
+    t.is(doc.GrpHdr.NbOfTxs._text, '1');
+    t.is(doc.GrpHdr.CtrlSum._text, '2');
+    t.is(doc.PmtInf.DbtrAcct.Id.Othr.Id._text, '12');
+    t.is(doc.PmtInf.CdtTrfTxInf.CdtrAcct.Id.Othr.Id._text, '2345678');
+
+    const payments = minPaymentsAlgorithm(input);
+    t.deepEqual(paymentInstructions(payments, conf, windowId).map((p) => p.payee), ['2:20']);
+    const [message] = generateMT101(payments, conf, windowId);
+    t.notRegex(message, /:59:\/12\r\n/);
+    t.regex(message, /:59:\/2345678\r\n/);
+});
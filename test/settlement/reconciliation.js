@@ -0,0 +1,166 @@
+const test = require('ava');
+const {
+    minPaymentsAlgorithm, parseStatement, reconcileStatement, deterministicIds,
+} = require('../../src/settlement').util;
+const { dfspConf, genSettlement, windowId } = require('../_support');
+
+const input = genSettlement([[1, '10.5'], [2, '-7'], [3, '-3.5']]);
+
+const endToEndId = (payee) => deterministicIds().endToEndId({
+    windowId, payer: '1:10', payee, currency: 'USD',
+});
+
+// Builds the XML of a single transaction entry
+const ntry = ({
+    amount, currency = 'USD', creditDebit = 'DBIT', e2e, counterparty, ustrd, transactions,
+}) => {
+    const party = creditDebit === 'DBIT' ? 'Cdtr' : 'Dbtr';
+    const txDtls = (tx) => `
+            <TxDtls>
+              ${tx.amount === undefined ? '' : `<AmtDtls><TxAmt><Amt Ccy="${currency}">${tx.amount}</Amt></TxAmt></AmtDtls>`}
+              <Refs><EndToEndId>${tx.e2e || 'NOTPROVIDED'}</EndToEndId></Refs>
+              ${tx.counterparty === undefined ? '' : `<RltdPties><${party}><Nm>Someone</Nm></${party}><${party}Acct><Id><Othr><Id>${tx.counterparty}</Id></Othr></Id></${party}Acct></RltdPties>`}
+              ${tx.ustrd === undefined ? '' : `<RmtInf><Ustrd>${tx.ustrd}</Ustrd></RmtInf>`}
+            </TxDtls>`;
+    return `
+        <Ntry>
+          <NtryRef>REF-${amount}</NtryRef>
+          <Amt Ccy="${currency}">${amount}</Amt>
+          <CdtDbtInd>${creditDebit}</CdtDbtInd>
+          <Sts><Cd>BOOK</Cd></Sts>
+          <BookgDt><DtTm>2020-06-02T09:00:00</DtTm></BookgDt>
+          <ValDt><Dt>2020-06-02</Dt></ValDt>
+          <AcctSvcrRef>SVC-${amount}</AcctSvcrRef>
+          <NtryDtls>${(transactions || [{ e2e, counterparty, ustrd }]).map(txDtls).join('')}
+          </NtryDtls>
+        </Ntry>`;
+};
+
+const camt053 = (account, entries) => `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.08">
+  <BkToCstmrStmt>
+    <GrpHdr><MsgId>STMT-1</MsgId><CreDtTm>2020-06-02T18:00:00</CreDtTm></GrpHdr>
+    <Stmt>
+      <Id>STMT-1-1</Id>
+      <Acct><Id><Othr><Id>${account}</Id></Othr></Id><Ccy>USD</Ccy></Acct>
+      ${entries.map(ntry).join('')}
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+test('camt.053 statements are parsed into normalised entries', (t) => {
+    const statement = parseStatement(camt053('0001234567', [
+        {
+            amount: '7', e2e: 'E2E-1', counterparty: '0002345678', ustrd: 'Settlement Window 558',
+        },
+        {
+            amount: '5',
+            transactions: [
+                { amount: '2', counterparty: '99' },
+                { amount: '3', e2e: 'E2E-3', ustrd: 'Something else' },
+            ],
+        },
+    ]));
+    t.is(statement.type, 'camt.053');
+    t.is(statement.msgId, 'STMT-1');
+    t.is(statement.createdAt, '2020-06-02T18:00:00');
+    t.deepEqual(statement.entries[0], {
+        statementId: 'STMT-1-1',
+        account: '0001234567',
+        amount: '7',
+        currency: 'USD',
+        creditDebit: 'DBIT',
+        status: 'BOOK',
+        bookingDate: '2020-06-02',
+        valueDate: '2020-06-02',
+        entryReference: 'REF-7',
+        accountServicerReference: 'SVC-7',
+        endToEndId: 'E2E-1',
+        counterpartyAccount: '0002345678',
+        counterpartyName: 'Someone',
+        remittanceText: 'Settlement Window 558',
+    });
+    t.deepEqual(
+        statement.entries.slice(1).map((e) => [e.amount, e.endToEndId, e.counterpartyAccount]),
+        [['2', undefined, '99'], ['3', 'E2E-3', undefined]],
+    );
+});
+
+test('camt.054 notifications are parsed', (t) => {
+    const xml = camt053('0002345678', [{
+        amount: '7', creditDebit: 'CRDT', counterparty: '1234567', ustrd: 'Settlement Window 558',
+    }])
+        .replace(/camt\.053\.001\.08/, 'camt.054.001.02')
+        .replace(/BkToCstmrStmt>/g, 'BkToCstmrDbtCdtNtfctn>')
+        .replace(/Stmt>/g, 'Ntfctn>')
+        .replace(/<Sts><Cd>BOOK<\/Cd><\/Sts>/, '<Sts>BOOK</Sts>');
+    const { type, entries } = parseStatement(xml);
+    t.is(type, 'camt.054');
+    t.is(entries.length, 1);
+    t.is(entries[0].status, 'BOOK');
+    t.is(entries[0].creditDebit, 'CRDT');
+    t.is(entries[0].counterpartyAccount, '1234567');
+    t.throws(() => parseStatement('<Document><Foo/></Document>'), {
+        message: 'Statement is not a camt.053 or camt.054 document',
+    });
+});
+
+test('Statement entries are matched to payments by EndToEndId', (t) => {
+    const payments = minPaymentsAlgorithm(input);
+    const xml = camt053('0001234567', [
+        { amount: '7', e2e: endToEndId('2:20'), counterparty: '0002345678' },
+        { amount: '3.5', e2e: endToEndId('3:30'), counterparty: '0003456789' },
+        { amount: '100', e2e: 'UNRELATED', counterparty: '42' },
+    ]);
+    const result = reconcileStatement(xml, windowId, payments, dfspConf, { ids: 'deterministic' });
+    t.true(result.reconciled);
+    t.deepEqual(result.matched.map((m) => [m.payment.payee, m.matchedBy]), [
+        ['2:20', 'endToEndId'],
+        ['3:30', 'endToEndId'],
+    ]);
+    t.deepEqual(result.matched[0].payment, {
+        windowId,
+        currency: 'USD',
+        payer: '1:10',
+        payee: '2:20',
+        amount: '7',
+        payerAccount: '1234567',
+        payeeAccount: '2345678',
+        remittanceText: 'Settlement Window 558',
+        endToEndId: endToEndId('2:20'),
+    });
+    t.deepEqual(result.unmatchedEntries.map((e) => e.endToEndId), ['UNRELATED']);
+    t.deepEqual(result.unmatchedPayments, []);
+});
+
+test('Statement entries are matched to payments by details', (t) => {
+    const payments = minPaymentsAlgorithm(input);
+    const result = reconcileStatement(camt053('1234567', [
+        { amount: '3.5', counterparty: '3456789', ustrd: 'Settlement Window 558' },
+        { amount: '7', counterparty: '0002345678', ustrd: 'Settlement Window 557' },
+    ]), windowId, payments, dfspConf);
+    t.false(result.reconciled);
+    t.deepEqual(result.matched.map((m) => [m.payment.payee, m.matchedBy]), [['3:30', 'details']]);
+    t.deepEqual(result.unmatchedEntries.map((e) => e.remittanceText), ['Settlement Window 557']);
+    t.deepEqual(result.unmatchedPayments.map((p) => p.payee), ['2:20']);
+});
+
+test('Payments credited to a payee are matched', (t) => {
+    const payments = minPaymentsAlgorithm(input);
+    const result = reconcileStatement(camt053('0002345678', [
+        { amount: '7', creditDebit: 'CRDT', counterparty: '0001234567' },
+        { amount: '3.5', creditDebit: 'CRDT', counterparty: '0001234567' },
+    ]), windowId, payments.USD, dfspConf);
+    t.deepEqual(result.matched.map((m) => m.payment.payee), ['2:20']);
+    t.is(result.unmatchedEntries.length, 1);
+});
+
+test('Discrepancies in EndToEndId matches are reported', (t) => {
+    const payments = minPaymentsAlgorithm(input);
+    const result = reconcileStatement(camt053('0001234567', [
+        { amount: '7.01', e2e: endToEndId('2:20'), counterparty: '0002345678' },
+        { amount: '3.5', e2e: endToEndId('3:30'), counterparty: '0009999999' },
+    ]), windowId, payments, dfspConf, { ids: 'deterministic' });
+    t.false(result.reconciled);
+    t.deepEqual(result.matched.map((m) => m.discrepancies), [['amount'], ['counterpartyAccount']]);
+});
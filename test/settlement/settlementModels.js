@@ -0,0 +1,85 @@
+/* eslint-disable no-underscore-dangle */
+const rewire = require('rewire');
+const test = require('ava');
+const { HTTPResponseError } = require('../../src/requests/requests');
+const { SettlementModelNotFoundError } = require('../../src/settlement').errors;
+
+const SettlementsModel = rewire('../../src/settlement/api');
+
+const deferredNet = {
+    name: 'DEFERREDNET',
+    settlementGranularity: 'NET',
+    settlementInterchange: 'MULTILATERAL',
+    settlementDelay: 'DEFERRED',
+    currency: 'XOF',
+    requireLiquidityCheck: true,
+    ledgerAccountType: 'POSITION',
+    settlementAccountType: 'SETTLEMENT',
+    autoPositionReset: true,
+};
+
+// A model whose requests are recorded as [method, url, body, endpoint] and answered with `response`
+const model = (options, response = {}) => {
+    const requests = [];
+    ['get', 'put', 'post'].forEach((method) => SettlementsModel.__set__(method, async (...args) => {
+        const [url, body, opts] = method === 'get' ? [args[0], undefined, args[1]] : args;
+        requests.push([method, url, body, opts.endpoint]);
+        return response;
+    }));
+    const m = new SettlementsModel({ endpoint: 'http://central-settlement', ...options });
+    m.requests = requests;
+    return m;
+};
+
+test.serial('Settlement models are managed through the ledger endpoint', async (t) => {
+    const m = model({ ledgerEndpoint: 'http://central-ledger' });
+    await m.getSettlementModels();
+    await m.getSettlementModel('DEFERRED NET');
+    await m.createSettlementModel(deferredNet);
+    await m.updateSettlementModel('DEFERREDNET', { isActive: false });
+    t.deepEqual(m.requests, [
+        ['get', 'settlementModels', undefined, 'http://central-ledger'],
+        ['get', 'settlementModels/DEFERRED%20NET', undefined, 'http://central-ledger'],
+        ['post', 'settlementModels', deferredNet, 'http://central-ledger'],
+        ['put', 'settlementModels/DEFERREDNET', { isActive: false }, 'http://central-ledger'],
+    ]);
+
+    const single = model();
+    await single.getSettlementModels();
+    t.is(single.requests[0][3], 'http://central-settlement');
+});
+
+test.serial('Settlement models are checked before they are created', async (t) => {
+    const m = model();
+    await t.throwsAsync(m.createSettlementModel({ ...deferredNet, name: '' }), {
+        message: 'createSettlementModel: name must be a non-empty string',
+    });
+    await t.throwsAsync(m.createSettlementModel({ ...deferredNet, settlementDelay: 'LATER' }), {
+        message: 'createSettlementModel: settlementDelay must be one of IMMEDIATE, DEFERRED, not LATER',
+    });
+    t.is(m.requests.length, 0);
+
+    SettlementsModel.__set__('get', async () => {
+        throw new HTTPResponseError({ res: { status: 404 }, resp: {} });
+    });
+    await t.throwsAsync(m.getSettlementModel('GROSS'), { instanceOf: SettlementModelNotFoundError });
+});
+
+test.serial('Settlements are created under, and filtered by, a settlement model', async (t) => {
+    const m = model({}, [
+        { id: 1, settlementModel: 'DEFERREDNET' },
+        { id: 2, settlementModel: 'GROSS' },
+        { id: 3 },
+    ]);
+    await m.createSettlement('Month end', ['558'], 'DEFERREDNET');
+    await m.createSettlement('Month end', [559]);
+    t.deepEqual(m.requests.map((r) => r[2]), [
+        { settlementModel: 'DEFERREDNET', reason: 'Month end', settlementWindows: [{ id: 558 }] },
+        { reason: 'Month end', settlementWindows: [{ id: 559 }] },
+    ]);
+
+    const settlements = await m.getSettlements({ state: 'SETTLED', settlementModel: 'DEFERREDNET' });
+    t.deepEqual(settlements.map((s) => s.id), [1]);
+    t.is(m.requests[2][1], 'settlements?state=SETTLED&settlementModel=DEFERREDNET');
+    t.is((await m.getSettlements({ state: 'SETTLED' })).length, 3);
+});
@@ -0,0 +1,69 @@
+/* eslint-disable no-underscore-dangle */
+const test = require('ava');
+const { xml2js } = require('xml-js');
+const {
+    bankProfiles, comparePaymentFile, exportPaymentsJson, generateMT101, generatePaymentFile,
+    minPaymentsAlgorithm, paymentInstructions, parsePaymentFile, registerBankProfile,
+} = require('../../src/settlement').util;
+const { dfspConf, genSettlement, windowId } = require('../_support');
+
+const input = genSettlement([[1, '2500'], [2, '-2300'], [3, '-200']], {
+    currency: 'XOF',
+    createdDate: '2020-06-01T10:00:00.000Z',
+});
+
+const bankProfile = { ...bankProfiles['citi-ci'], maxTransactionAmount: { XOF: '1000' } };
+
+const opts = { bankProfile, ids: 'deterministic', validate: true };
+
+test('Payments above the maximum transaction amount are split', (t) => {
+    const xml = generatePaymentFile(windowId, input, dfspConf, undefined, opts);
+    const doc = xml2js(xml, { compact: true }).Document.CstmrCdtTrfInitn;
+    const txs = doc.PmtInf.CdtTrfTxInf;
+    t.deepEqual(txs.map((tx) => [tx.Cdtr.Nm._text, tx.Amt.InstdAmt._text]), [
+        ['DFSP-3', '200'],
+        ['DFSP-2', '1000'],
+        ['DFSP-2', '1000'],
+        ['DFSP-2', '300'],
+    ]);
+    t.is(new Set(txs.map((tx) => tx.PmtId.EndToEndId._text)).size, 4);
+    t.is(doc.GrpHdr.NbOfTxs._text, '4');
+    t.is(doc.GrpHdr.CtrlSum._text, '2500');
+    t.is(doc.PmtInf.NbOfTxs._text, '4');
+    t.is(doc.PmtInf.CtrlSum._text, '2500');
+});
+
+test('Split payments are read back as a single payment', (t) => {
+    const xml = generatePaymentFile(windowId, input, dfspConf, undefined, opts);
+    const parsed = parsePaymentFile(xml, dfspConf, { bankProfile });
+    t.deepEqual(parsed.matrix, { 1: { 2: '2300', 3: '200' } });
+    t.true(comparePaymentFile(parsed, input, dfspConf).equal);
+});
+
+test('MT101 messages split payments the same way', (t) => {
+    const [message] = generateMT101(minPaymentsAlgorithm(input), dfspConf, windowId, {
+        bankProfile, clock: () => new Date(input.createdDate),
+    });
+    t.deepEqual(message.match(/:32B:.*/g), [
+        ':32B:XOF200,', ':32B:XOF1000,', ':32B:XOF1000,', ':32B:XOF300,',
+    ]);
+});
+
+test('Exported payment instructions split payments the same way', (t) => {
+    const payments = minPaymentsAlgorithm(input);
+    const instructions = paymentInstructions(payments, dfspConf, windowId, { bankProfile });
+    t.deepEqual(instructions.map((i) => [i.payeeName, i.amount]), [
+        ['DFSP-3', '200'],
+        ['DFSP-2', '1000'],
+        ['DFSP-2', '1000'],
+        ['DFSP-2', '300'],
+    ]);
+    const json = JSON.parse(exportPaymentsJson(payments, dfspConf, windowId, { bankProfile }));
+    t.deepEqual(json.totals, { XOF: { count: 4, amount: '2500' } });
+});
+
+test('Maximum transaction amounts must be positive', (t) => {
+    t.throws(() => registerBankProfile('zero-limit', { ...bankProfile, maxTransactionAmount: { XOF: '0' } }), {
+        message: 'Bank profile maxTransactionAmount for XOF must be a positive amount, not 0',
+    });
+});
@@ -0,0 +1,154 @@
+const test = require('ava');
+const {
+    generatePaymentFile, parseStatusReport, correlateStatusReport,
+} = require('../../src/settlement').util;
+const { dfspConf, genSettlement, windowId } = require('../_support');
+
+const input = genSettlement([[1, '10.5'], [2, '-7'], [3, '-3.5'], [4, '0']]);
+
+const ids = {
+    msgId: () => 'MSG-1',
+    pmtInfId: ({ index }) => `PMT-${index}`,
+    endToEndId: ({ payee }) => `E2E-${payee.split(':')[0]}`,
+};
+
+const paymentFile = () => generatePaymentFile(windowId, input, dfspConf, undefined, { ids });
+
+const reason = (code, info) => `<StsRsnInf><Rsn><Cd>${code}</Cd></Rsn>${info === undefined ? '' : `<AddtlInf>${info}</AddtlInf>`}</StsRsnInf>`;
+
+const pain002 = ({ groupStatus, groupReason = '', pmtInf = [] }) => `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.002.001.03">
+  <CstmrPmtStsRpt>
+    <GrpHdr><MsgId>STS-1</MsgId><CreDtTm>2020-06-01T12:00:00</CreDtTm></GrpHdr>
+    <OrgnlGrpInfAndSts>
+      <OrgnlMsgId>MSG-1</OrgnlMsgId>
+      <OrgnlMsgNmId>pain.001.001.03</OrgnlMsgNmId>
+      ${groupStatus === undefined ? '' : `<GrpSts>${groupStatus}</GrpSts>`}
+      ${groupReason}
+    </OrgnlGrpInfAndSts>
+    ${pmtInf.map((p) => `<OrgnlPmtInfAndSts>
+      <OrgnlPmtInfId>${p.id}</OrgnlPmtInfId>
+      ${p.status === undefined ? '' : `<PmtInfSts>${p.status}</PmtInfSts>`}
+      ${(p.txs || []).map((tx) => `<TxInfAndSts>
+        <OrgnlEndToEndId>${tx.id}</OrgnlEndToEndId>
+        <TxSts>${tx.status}</TxSts>
+        ${tx.reason || ''}
+        <OrgnlTxRef><Amt><InstdAmt Ccy="USD">${tx.amount || '1'}</InstdAmt></Amt></OrgnlTxRef>
+      </TxInfAndSts>`).join('')}
+    </OrgnlPmtInfAndSts>`).join('')}
+  </CstmrPmtStsRpt>
+</Document>`;
+
+test('pain.002 status reports are parsed', (t) => {
+    const report = parseStatusReport(pain002({
+        groupStatus: 'PART',
+        groupReason: reason('NARR', 'Some rejected'),
+        pmtInf: [{
+            id: 'PMT-0',
+            status: 'PART',
+            txs: [{
+                id: 'E2E-2', status: 'RJCT', reason: reason('AC04', 'Account closed'), amount: '7',
+            }],
+        }],
+    }));
+    t.deepEqual(report, {
+        msgId: 'STS-1',
+        createdAt: '2020-06-01T12:00:00',
+        originalMsgId: 'MSG-1',
+        groupStatus: 'PART',
+        groupReasons: [{ code: 'NARR', info: 'Some rejected' }],
+        paymentInformation: [{
+            pmtInfId: 'PMT-0',
+            status: 'PART',
+            reasons: [],
+            transactions: [{
+                endToEndId: 'E2E-2',
+                instrId: undefined,
+                status: 'RJCT',
+                reasons: [{ code: 'AC04', info: 'Account closed' }],
+                amount: '7',
+                currency: 'USD',
+            }],
+        }],
+    });
+    t.throws(() => parseStatusReport('<Document><Foo/></Document>'), {
+        message: 'Status report is not a pain.002 document',
+    });
+});
+
+test('Statuses are correlated with the payments of the file', (t) => {
+    const result = correlateStatusReport(pain002({
+        groupStatus: 'PART',
+        pmtInf: [{
+            id: 'PMT-0',
+            status: 'PART',
+            txs: [
+                { id: 'E2E-2', status: 'RJCT', reason: reason('AC04') },
+                { id: 'E2E-3', status: 'ACSC' },
+            ],
+        }],
+    }), paymentFile(), dfspConf);
+    t.is(result.msgId, 'MSG-1');
+    t.is(result.reportMsgId, 'STS-1');
+    t.deepEqual(result.payments.map((p) => [
+        p.pmtInfId, p.endToEndId, p.amount, p.status, p.statusLevel,
+    ]), [
+        ['PMT-0', 'E2E-3', '3.5', 'ACSC', 'transaction'],
+        ['PMT-0', 'E2E-2', '7', 'RJCT', 'transaction'],
+    ]);
+    t.deepEqual(result.payments[1].payer, { participantId: '1', name: 'DFSP-1', account: '1234567' });
+    t.deepEqual(result.payments[1].payee, { participantId: '2', name: 'DFSP-2', account: '2345678' });
+    t.deepEqual(result.summary, {
+        USD: {
+            1: {
+                2: { status: 'RJCT', reasons: [{ code: 'AC04', info: undefined }] },
+                3: { status: 'ACSC', reasons: [] },
+            },
+        },
+    });
+    t.deepEqual(result.unmatched, []);
+});
+
+test('Statuses are inherited from PmtInf blocks and groups', (t) => {
+    const fromPmtInf = correlateStatusReport(pain002({
+        groupStatus: 'PART',
+        pmtInf: [{ id: 'PMT-0', status: 'RJCT' }],
+    }), paymentFile(), dfspConf);
+    t.deepEqual(fromPmtInf.payments.map((p) => [p.status, p.statusLevel]), [
+        ['RJCT', 'paymentInformation'],
+        ['RJCT', 'paymentInformation'],
+    ]);
+
+    const fromGroup = correlateStatusReport(
+        pain002({ groupStatus: 'ACCP' }), paymentFile(), dfspConf,
+    );
+    t.deepEqual(fromGroup.payments.map((p) => [p.status, p.statusLevel]), [
+        ['ACCP', 'group'],
+        ['ACCP', 'group'],
+    ]);
+
+    const partial = correlateStatusReport(pain002({ groupStatus: 'PART' }), paymentFile(), dfspConf);
+    t.deepEqual(partial.payments.map((p) => p.status), [undefined, undefined]);
+});
+
+test('Statuses for payments not in the file are reported as unmatched', (t) => {
+    const result = correlateStatusReport(pain002({
+        pmtInf: [
+            { id: 'PMT-0', txs: [{ id: 'E2E-9', status: 'RJCT' }] },
+            { id: 'PMT-7', status: 'RJCT' },
+        ],
+    }), paymentFile(), dfspConf);
+    t.deepEqual(result.unmatched.map((u) => [u.pmtInfId, u.endToEndId, u.status]), [
+        ['PMT-0', 'E2E-9', 'RJCT'],
+        ['PMT-7', undefined, 'RJCT'],
+    ]);
+});
+
+test('Status reports for another file are rejected', (t) => {
+    const other = generatePaymentFile(
+        windowId, input, dfspConf, undefined, { ids: { ...ids, msgId: () => 'MSG-2' } },
+    );
+    t.throws(() => correlateStatusReport(pain002({ groupStatus: 'ACCP' }), other, dfspConf), {
+        message: 'Status report refers to message MSG-1, payment file has message MSG-2',
+    });
+});
@@ -0,0 +1,96 @@
+const test = require('ava');
+const {
+    compareStrategies, minPaymentsAlgorithm, registerStrategy, verifyPaymentMatrix,
+} = require('../../src/settlement').util;
+const support = require('../_support');
+
+const countPayments = (matrix) => Object.values(matrix)
+    .reduce((pv, payees) => pv + Object.keys(payees).length, 0);
+
+test('Exact strategy finds fewer payments than greedy where possible', (t) => {
+    const input = support.genSettlement([[1, '7'], [2, '3'], [3, '-3'], [4, '-7']]);
+    const greedy = minPaymentsAlgorithm(input);
+    const exact = minPaymentsAlgorithm(input, { strategy: 'exact' });
+    t.is(countPayments(greedy.USD.matrix), 3);
+    t.deepEqual(exact.USD.matrix, { '1:10': { '4:40': '7' }, '2:20': { '3:30': '3' } });
+    t.true(verifyPaymentMatrix(input, exact).valid);
+});
+
+test('Exact strategy never uses more payments than greedy', (t) => {
+    const input = support.genInput({ minTx: 2, maxTx: 6, currency: () => 'XOF' });
+    const greedy = minPaymentsAlgorithm(input);
+    const exact = minPaymentsAlgorithm(input, { strategy: 'exact' });
+    t.true(verifyPaymentMatrix(input, exact).valid);
+    t.true(countPayments(exact.XOF.matrix) <= countPayments(greedy.XOF.matrix));
+});
+
+test('Exact strategy rejects large settlements', (t) => {
+    const input = support.genSettlement([[1, '1'], [2, '1'], [3, '1'], [4, '-3']]);
+    t.throws(() => minPaymentsAlgorithm(input, { strategy: 'exact', maxAccounts: 3 }), {
+        message: 'Exact settlement strategy supports at most 3 accounts per currency, settlement has 4',
+    });
+});
+
+test('Hub strategy routes every payment through the hub', (t) => {
+    const input = support.genSettlement([[1, '7'], [2, '3'], [3, '-4'], [4, '-6']]);
+    const result = minPaymentsAlgorithm(input, { strategy: 'hub', hubAccount: 'hub' });
+    t.deepEqual(result, {
+        USD: {
+            currency: 'USD',
+            hubAccount: 'hub',
+            matrix: {
+                '1:10': { hub: '7' },
+                '2:20': { hub: '3' },
+                hub: { '3:30': '4', '4:40': '6' },
+            },
+        },
+    });
+    t.true(verifyPaymentMatrix(input, result).valid);
+});
+
+test('Custom strategies can be registered', (t) => {
+    registerStrategy('first-creditor', (debtors, creditors) => debtors.reduce((pv, d) => ({
+        ...pv,
+        [d.id]: { [creditors[0].id]: d.amount.toString() },
+    }), {}));
+    const input = support.genSettlement([[1, '2'], [2, '3'], [3, '-5']]);
+    const result = minPaymentsAlgorithm(input, { strategy: 'first-creditor' });
+    t.deepEqual(result.USD.matrix, { '1:10': { '3:30': '2' }, '2:20': { '3:30': '3' } });
+});
+
+test('Custom strategies can declare a hub account', (t) => {
+    const viaTreasury = (debtors, creditors) => ({
+        ...debtors.reduce((pv, d) => ({ ...pv, [d.id]: { treasury: d.amount.toString() } }), {}),
+        treasury: creditors.reduce((pv, c) => ({
+            ...pv,
+            [c.id]: c.amount.times(-1).toString(),
+        }), {}),
+    });
+    viaTreasury.hubAccount = () => 'treasury';
+    registerStrategy('via-treasury', viaTreasury);
+    const input = support.genSettlement([[1, '2'], [2, '3'], [3, '-5']]);
+    const result = minPaymentsAlgorithm(input, { strategy: 'via-treasury' });
+    t.is(result.USD.hubAccount, 'treasury');
+    t.true(verifyPaymentMatrix(input, result).valid);
+    t.false('hubAccount' in minPaymentsAlgorithm(input).USD);
+});
+
+test('Unknown strategies throw an error', (t) => {
+    const input = support.genSettlement([[1, '2'], [2, '-2']]);
+    t.throws(() => minPaymentsAlgorithm(input, { strategy: 'nope' }), {
+        message: /^Unknown settlement strategy nope\. Available strategies are: greedy, exact, hub/,
+    });
+});
+
+test('Strategies can be compared', (t) => {
+    const input = support.genSettlement([[1, '7'], [2, '3'], [3, '-3'], [4, '-7']]);
+    const comparison = compareStrategies(input, {
+        strategies: ['greedy', 'exact', 'hub'],
+        fee: () => '1.5',
+    });
+    t.deepEqual(comparison, {
+        greedy: { USD: { payments: 3, volume: '10', fees: '4.5' } },
+        exact: { USD: { payments: 2, volume: '10', fees: '3' } },
+        hub: { USD: { payments: 4, volume: '20', fees: '6' } },
+    });
+});
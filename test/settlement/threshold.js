@@ -0,0 +1,77 @@
+const test = require('ava');
+const {
+    listStrategies, minPaymentsAlgorithm, verifyPaymentMatrix,
+} = require('../../src/settlement').util;
+const { genSettlement } = require('../_support');
+
+const settlement = (rows) => genSettlement(rows, { currency: 'XOF' });
+
+const input = settlement([[1, '1000'], [2, '-995'], [3, '-5'], [4, '0']]);
+
+const threshold = { XOF: '10' };
+
+test('Positions below the threshold are carried forward', (t) => {
+    const result = minPaymentsAlgorithm(input, { threshold });
+    t.deepEqual(result.XOF.matrix, { '1:10': { '2:20': '995' } });
+    t.deepEqual(result.XOF.carryForward, [
+        {
+            account: '3:30', participantId: 3, accountId: 30, amount: '-5', reason: 'BELOW_THRESHOLD',
+        },
+        {
+            account: '1:10', participantId: 1, accountId: 10, amount: '5', reason: 'BALANCING',
+        },
+    ]);
+    t.true(verifyPaymentMatrix(input, result).valid);
+    t.false('carryForward' in minPaymentsAlgorithm(input).XOF);
+});
+
+test('Carried forward positions are balanced across several accounts', (t) => {
+    const dusty = settlement([[1, '12'], [2, '11'], [3, '-9'], [4, '-8'], [5, '-6']]);
+    const result = minPaymentsAlgorithm(dusty, { threshold });
+    t.deepEqual(result.XOF.carryForward.map((c) => [c.account, c.amount, c.reason]), [
+        ['3:30', '-9', 'BELOW_THRESHOLD'],
+        ['4:40', '-8', 'BELOW_THRESHOLD'],
+        ['5:50', '-6', 'BELOW_THRESHOLD'],
+        ['2:20', '11', 'BALANCING'],
+        ['1:10', '12', 'BALANCING'],
+    ]);
+    t.deepEqual(result.XOF.matrix, {});
+    t.true(verifyPaymentMatrix(dusty, result).valid);
+});
+
+test('Balancing never leaves a position below the threshold', (t) => {
+    // Carrying 5 of account 10 forward to balance would leave 7 to pay, so that is carried too
+    const uneven = settlement([[1, '12'], [2, '10'], [3, '-5'], [4, '-17']]);
+    const result = minPaymentsAlgorithm(uneven, { threshold });
+    t.deepEqual(result.XOF.carryForward.map((c) => [c.account, c.amount, c.reason]), [
+        ['4:40', '-7', 'BALANCING'],
+        ['3:30', '-5', 'BELOW_THRESHOLD'],
+        ['1:10', '5', 'BALANCING'],
+        ['1:10', '7', 'BELOW_THRESHOLD'],
+    ]);
+    t.deepEqual(result.XOF.matrix, { '2:20': { '4:40': '10' } });
+    t.true(verifyPaymentMatrix(uneven, result).valid);
+});
+
+test('Every strategy respects the threshold', (t) => {
+    const mixed = settlement([[1, '500'], [2, '7'], [3, '-300'], [4, '-203'], [5, '-4']]);
+    listStrategies().forEach((strategy) => {
+        const result = minPaymentsAlgorithm(mixed, { strategy, threshold });
+        t.true(verifyPaymentMatrix(mixed, result).valid, strategy);
+    });
+});
+
+test('Thresholds must be positive amounts', (t) => {
+    t.throws(() => minPaymentsAlgorithm(input, { threshold: { XOF: '-1' } }), {
+        message: 'Minimum payment threshold for XOF must be a positive amount, not -1',
+    });
+    const result = minPaymentsAlgorithm(input, { threshold });
+    const tampered = {
+        XOF: { ...result.XOF, carryForward: result.XOF.carryForward.slice(0, 1) },
+    };
+    t.deepEqual(verifyPaymentMatrix(input, tampered).errors.map((e) => e.code), [
+        'CARRY_FORWARD_IMBALANCE',
+        'NET_POSITION_MISMATCH',
+        'CTRL_SUM_MISMATCH',
+    ]);
+});
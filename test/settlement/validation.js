@@ -0,0 +1,87 @@
+const test = require('ava');
+const { generatePaymentFile, validatePaymentFile } = require('../../src/settlement').util;
+const { dfspConf, genSettlement, windowId } = require('../_support');
+
+const genInput = () => genSettlement([[1, '10.5'], [2, '-7'], [3, '-3.5']], {
+    createdDate: '2020-06-01T10:00:00.000Z',
+});
+
+const generate = (opts) => generatePaymentFile(
+    windowId, genInput(), dfspConf, undefined, { ids: 'deterministic', ...opts },
+);
+
+test('Generated payment files are schema-valid', (t) => {
+    ['pain.001.001.03', 'pain.001.001.09'].forEach((messageVersion) => {
+        t.deepEqual(validatePaymentFile(generate({ messageVersion }), messageVersion), []);
+    });
+    t.deepEqual(validatePaymentFile(generate()), []);
+});
+
+test('Violations are reported with their XPath locations', (t) => {
+    const xml = generate()
+        .replace(/<NbOfTxs>2<\/NbOfTxs>/, '<NbOfTxs>two</NbOfTxs>')
+        .replace(/<InstdAmt Ccy="USD">7</, '<InstdAmt Ccy="usd">-7<')
+        .replace(/<EndToEndId>[^<]*<\/EndToEndId>/, '<Reference>1</Reference>');
+    t.deepEqual(validatePaymentFile(xml), [
+        {
+            path: '/Document/CstmrCdtTrfInitn/GrpHdr/NbOfTxs',
+            message: '\'two\' does not match pattern [0-9]{1,15} (Max15NumericText)',
+        },
+        {
+            path: '/Document/CstmrCdtTrfInitn/PmtInf/CdtTrfTxInf[1]/PmtId/Reference',
+            message: 'Unexpected element Reference',
+        },
+        {
+            path: '/Document/CstmrCdtTrfInitn/PmtInf/CdtTrfTxInf[1]/PmtId',
+            message: 'Missing required element EndToEndId',
+        },
+        {
+            path: '/Document/CstmrCdtTrfInitn/PmtInf/CdtTrfTxInf[2]/Amt/InstdAmt',
+            message: '\'-7\' must be at least 0 (ActiveOrHistoricCurrencyAndAmount_SimpleType)',
+        },
+        {
+            path: '/Document/CstmrCdtTrfInitn/PmtInf/CdtTrfTxInf[2]/Amt/InstdAmt/@Ccy',
+            message: '\'usd\' does not match pattern [A-Z]{3,3} (ActiveOrHistoricCurrencyCode)',
+        },
+    ]);
+});
+
+test('Elements out of order are reported', (t) => {
+    const xml = generate().replace(
+        /(<MsgId>[^<]*<\/MsgId>)(\s*)(<CreDtTm>[^<]*<\/CreDtTm>)/,
+        '$3$2$1',
+    );
+    t.deepEqual(validatePaymentFile(xml), [
+        {
+            path: '/Document/CstmrCdtTrfInitn/GrpHdr',
+            message: 'Missing required element MsgId, found CreDtTm',
+        },
+        {
+            path: '/Document/CstmrCdtTrfInitn/GrpHdr/MsgId',
+            message: 'Unexpected element MsgId',
+        },
+    ]);
+});
+
+test('Documents of another message version are rejected', (t) => {
+    t.deepEqual(validatePaymentFile(generate({ messageVersion: 'pain.001.001.09' })), [{
+        path: '/Document',
+        message: 'Document namespace urn:iso:std:iso:20022:tech:xsd:pain.001.001.09 is not urn:iso:std:iso:20022:tech:xsd:pain.001.001.03',
+    }]);
+    t.throws(() => validatePaymentFile(generate(), 'pain.001.001.02'), {
+        message: /^Unsupported message version pain\.001\.001\.02/,
+    });
+});
+
+test('generatePaymentFile can fail when the file is not schema-valid', (t) => {
+    const conf = { ...dfspConf, 2: { ...dfspConf[2], name: 'D'.repeat(141) } };
+    const input = genInput();
+    t.notThrows(() => generatePaymentFile(windowId, input, conf));
+    const err = t.throws(() => generatePaymentFile(
+        windowId, input, conf, undefined, { validate: true },
+    ), { message: /^Payment file failed schema validation: \/Document\/CstmrCdtTrfInitn\/PmtInf\/CdtTrfTxInf\[2\]\/Cdtr\/Nm: '/ });
+    t.deepEqual(err.violations, [{
+        path: '/Document/CstmrCdtTrfInitn/PmtInf/CdtTrfTxInf[2]/Cdtr/Nm',
+        message: `'${'D'.repeat(141)}' must be at most 140 characters long (Max140Text)`,
+    }]);
+});
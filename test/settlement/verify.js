@@ -0,0 +1,72 @@
+/* eslint-disable no-underscore-dangle */
+const test = require('ava');
+const rewire = require('rewire');
+const { minPaymentsAlgorithm, verifyPaymentMatrix } = require('../../src/settlement').util;
+const support = require('../_support');
+
+const codes = (report) => report.errors.map((e) => e.code).sort();
+
+test('Algorithm output passes verification', (t) => {
+    const input = support.genInput({ maxTx: 100 });
+    const report = verifyPaymentMatrix(input, minPaymentsAlgorithm(input));
+    t.true(report.valid);
+    t.deepEqual(report.errors, []);
+    t.is(report.currencies.USD.ctrlSum, report.currencies.USD.totalDebit);
+});
+
+test('Underpayment is reported', (t) => {
+    const input = support.genSettlement([[1, '5'], [2, '3'], [3, '-8']]);
+    const result = { USD: { currency: 'USD', matrix: { '1:10': { '3:30': '5' }, '2:20': { '3:30': '2' } } } };
+    const report = verifyPaymentMatrix(input, result);
+    t.false(report.valid);
+    t.false(report.currencies.USD.valid);
+    t.deepEqual(codes(report), ['CTRL_SUM_MISMATCH', 'NET_POSITION_MISMATCH', 'NET_POSITION_MISMATCH']);
+    t.is(report.currencies.USD.ctrlSum, '7');
+    t.is(report.currencies.USD.totalDebit, '8');
+});
+
+test('Missing debtors and non-positive payments are reported', (t) => {
+    const input = support.genSettlement([[1, '5'], [2, '3'], [3, '-8']]);
+    const result = {
+        USD: { currency: 'USD', matrix: { '1:10': { '3:30': '8' }, '2:20': { '3:30': '0' } } },
+    };
+    const report = verifyPaymentMatrix(input, result);
+    t.deepEqual(
+        codes(report),
+        ['MISSING_DEBTOR', 'NET_POSITION_MISMATCH', 'NET_POSITION_MISMATCH', 'NON_POSITIVE_PAYMENT'],
+    );
+});
+
+test('Accounts that both pay and receive are reported', (t) => {
+    const input = support.genSettlement([[1, '5'], [2, '3'], [3, '-8']]);
+    const result = {
+        USD: {
+            currency: 'USD',
+            matrix: { '1:10': { '2:20': '1', '3:30': '4' }, '2:20': { '3:30': '4' } },
+        },
+    };
+    const report = verifyPaymentMatrix(input, result);
+    t.deepEqual(codes(report), ['CTRL_SUM_MISMATCH', 'PAYS_AND_RECEIVES']);
+});
+
+test('Missing and unexpected currencies are reported', (t) => {
+    const input = support.genSettlement([[1, '5'], [2, '3'], [3, '-8']]);
+    const result = { XOF: { currency: 'XOF', matrix: { '1:10': { '3:30': '8' } } } };
+    const report = verifyPaymentMatrix(input, result);
+    t.true(codes(report).includes('MISSING_CURRENCY'));
+    t.true(codes(report).includes('UNEXPECTED_CURRENCY'));
+    t.true(codes(report).includes('UNKNOWN_ACCOUNT'));
+});
+
+test('generatePaymentFile refuses to emit a file that fails verification', (t) => {
+    const util = rewire('../../src/settlement/util');
+    util.__set__('minPaymentsAlgorithm', () => ({
+        USD: { currency: 'USD', matrix: { '1:10': { '3:30': '8' } } },
+    }));
+    const input = support.genSettlement([[1, '5'], [2, '3'], [3, '-8']]);
+    const dfspConf = support.genDfspConf(input.participants);
+    const err = t.throws(() => util.generatePaymentFile(1, input, dfspConf), {
+        message: /^Payment matrix failed verification: .*Debtor 2:20 makes no payments/,
+    });
+    t.false(err.report.valid);
+});